@@ -0,0 +1,133 @@
+/**
+ * Gold Perfium - Admin Login
+ * Login modal shared by the admin pages: signs in through AuthSession and
+ * tells the page when the admin signed in or out
+ * Expects the #loginModal markup (loginForm, loginUsername, loginPassword,
+ * rememberMe, loginError) on the page.
+ */
+
+class AdminLogin {
+    /**
+     * Page callbacks registered by init()
+     * @type {{onLogin: Function, onLogout: Function, onBusy: Function}}
+     */
+    static handlers = { onLogin: () => {}, onLogout: () => {}, onBusy: () => {} };
+
+    /**
+     * Wire the login form, then show the page or the login modal
+     * @param {object} handlers - Page callbacks
+     * @param {Function} handlers.onLogin - (username) => void, called once the admin is signed in
+     * @param {Function} handlers.onLogout - ({reason}) => void, called after the modal is shown again;
+     * reason is 'user' for the logout button, 'expired' or 'remote' otherwise
+     * @param {Function} handlers.onBusy - (busy) => void, called when a login request starts and ends
+     */
+    static init({ onLogin = () => {}, onLogout = () => {}, onBusy = () => {} } = {}) {
+        AdminLogin.handlers = { onLogin, onLogout, onBusy };
+
+        document.getElementById('loginForm').addEventListener('submit', AdminLogin.handleSubmit);
+
+        // Enter in the username field moves on to the password
+        document.getElementById('loginUsername').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                document.getElementById('loginPassword').focus();
+            }
+        });
+
+        AuthSession.onChange(event => {
+            if (event.type === 'logout') {
+                AdminLogin.show();
+                AdminLogin.handlers.onLogout(event);
+            }
+        });
+
+        if (AuthSession.isAuthenticated()) {
+            AdminLogin.hide();
+            onLogin(AuthSession.getUsername());
+        } else {
+            AdminLogin.show();
+        }
+    }
+
+    /**
+     * Show the login modal with an empty form
+     */
+    static show() {
+        document.getElementById('loginModal').style.display = 'flex';
+        document.getElementById('loginUsername').value = '';
+        document.getElementById('loginPassword').value = '';
+        document.getElementById('rememberMe').checked = AuthSession.isRemembered();
+        document.getElementById('loginError').classList.remove('show');
+    }
+
+    /**
+     * Hide the login modal
+     */
+    static hide() {
+        document.getElementById('loginModal').style.display = 'none';
+    }
+
+    /**
+     * Sign the admin out of every open tab
+     */
+    static logout() {
+        AuthSession.logout();
+    }
+
+    /**
+     * Sign in with the form's credentials
+     * @param {SubmitEvent} e - Form submit event
+     */
+    static async handleSubmit(e) {
+        e.preventDefault();
+
+        const form = e.target;
+        const submitBtn = form.querySelector('[type="submit"]');
+        const username = document.getElementById('loginUsername').value.trim();
+        const password = document.getElementById('loginPassword').value;
+
+        if (!username || !password) {
+            AdminLogin.showError('❌ يرجى ملء جميع الحقول');
+            return;
+        }
+
+        submitBtn.disabled = true;
+        AdminLogin.handlers.onBusy(true);
+
+        try {
+            await AuthSession.login(username, password, { remember: document.getElementById('rememberMe').checked });
+
+            AdminLogin.hide();
+            AdminLogin.handlers.onLogin(username);
+        } catch (error) {
+            console.error('Login error:', error);
+            AdminLogin.showError(error instanceof ApiError && !error.isAuthError
+                ? `❌ ${error.getUserMessage()}`
+                : '❌ اسم المستخدم أو كلمة المرور غير صحيحة');
+        } finally {
+            submitBtn.disabled = false;
+            AdminLogin.handlers.onBusy(false);
+        }
+    }
+
+    /**
+     * Show a login error with a shake animation
+     * @param {string} message - Error message
+     */
+    static showError(message) {
+        const loginError = document.getElementById('loginError');
+        loginError.textContent = message;
+        loginError.classList.add('show');
+
+        // Restart the animation for repeated errors
+        loginError.style.animation = 'none';
+        setTimeout(() => {
+            loginError.style.animation = 'shake 0.5s ease';
+        }, 10);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdminLogin;
+}
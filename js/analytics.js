@@ -0,0 +1,334 @@
+/**
+ * Gold Perfium - Sales Analytics
+ * Aggregates admin orders (and the product catalog, for categories) into the
+ * figures shown on the admin dashboard: revenue over time, orders per status,
+ * average order value, best-selling products and categories, and repeat customers
+ */
+
+class SalesAnalytics {
+    /**
+     * Revenue chart grouping
+     */
+    static GRANULARITIES = {
+        DAY: 'day',
+        WEEK: 'week',
+        MONTH: 'month',
+    };
+
+    /**
+     * Date bounds of a dashboard range
+     * @param {string} range - One of APP_CONFIG.analytics.ranges
+     * @param {Date} now - Reference date
+     * @returns {object} {from, to} as YYYY-MM-DD
+     */
+    static resolveRange(range, now = new Date()) {
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const start = new Date(today);
+        const days = { last7: 7, last30: 30, last90: 90 }[range];
+
+        if (days) {
+            start.setDate(today.getDate() - (days - 1));
+        } else if (range === 'thisMonth') {
+            start.setDate(1);
+        } else if (range === 'thisYear') {
+            start.setMonth(0, 1);
+        }
+
+        return { from: OrderQuery.formatDay(start), to: OrderQuery.formatDay(today) };
+    }
+
+    /**
+     * Chart grouping that keeps the number of columns readable
+     * @param {string} from - YYYY-MM-DD
+     * @param {string} to - YYYY-MM-DD
+     * @returns {string} SalesAnalytics.GRANULARITIES value
+     */
+    static getGranularity(from, to) {
+        const days = Math.round((SalesAnalytics.parseDay(to) - SalesAnalytics.parseDay(from)) / 86400000) + 1;
+
+        if (days <= APP_CONFIG.analytics.maxDailyDays) return SalesAnalytics.GRANULARITIES.DAY;
+        if (days <= APP_CONFIG.analytics.maxWeeklyDays) return SalesAnalytics.GRANULARITIES.WEEK;
+        return SalesAnalytics.GRANULARITIES.MONTH;
+    }
+
+    /**
+     * Fetch the orders placed in a period and the product catalog
+     * @param {object} period - {from, to} as YYYY-MM-DD
+     * @param {object} options - Fetch options
+     * @param {Function} options.onProgress - (loaded, total) after each page of orders
+     * @returns {Promise<object>} {orders, products}
+     */
+    static async load({ from, to }, { onProgress = null } = {}) {
+        const [orders, products] = await Promise.all([
+            OrderWorkflow.collectOrders({ from, to }, { onProgress }),
+            collectAllItems((page, size) => APIService.getAdminProducts(page, size)),
+        ]);
+
+        return { orders, products };
+    }
+
+    /**
+     * Dashboard figures for a period
+     * Only orders placed within the period are counted, whether or not the server
+     * applied the date filter. Cancelled orders are counted per status but left
+     * out of revenue, products, categories and customers.
+     * @param {Array} allOrders - Orders loaded for the period; any placed outside from..to are dropped first
+     * @param {Array} products - Product catalog (used to find each product's category)
+     * @param {object} period - {from, to, granularity}
+     * @returns {object} {kpis, revenue, byStatus, products, categories, customers}
+     */
+    static aggregate(allOrders, products, { from, to, granularity = SalesAnalytics.getGranularity(from, to) }) {
+        const amount = value => Number(value) || 0;
+        const orders = allOrders.filter(order => SalesAnalytics.isInPeriod(order.createdAt, from, to));
+        const productsById = new Map(products.map(product => [String(product.id), product]));
+        const isCancelled = order => order.status === APP_CONFIG.orderStatus.CANCELLED;
+        const sold = orders.filter(order => !isCancelled(order));
+
+        // Revenue over time, with empty periods kept so the chart has no gaps
+        const revenue = new Map(SalesAnalytics.getBuckets(from, to, granularity).map(bucket => [bucket.key, bucket]));
+        sold.forEach(order => {
+            const date = new Date(order.createdAt);
+            const bucket = revenue.get(SalesAnalytics.getBucketKey(date, granularity));
+            if (bucket) {
+                bucket.revenue += amount(order.totalAmount);
+                bucket.orders++;
+            }
+        });
+
+        const byStatus = Object.values(APP_CONFIG.orderStatus).map(status => {
+            const matching = orders.filter(order => order.status === status);
+            return {
+                status,
+                label: APP_CONFIG.orderStatusLabels[status] || status,
+                count: matching.length,
+                total: matching.reduce((sum, order) => sum + amount(order.totalAmount), 0),
+            };
+        });
+
+        // Best sellers: product and category totals from the order lines
+        const productTotals = new Map();
+        const categoryTotals = new Map();
+        const addTo = (totals, key, name, quantity, lineRevenue) => {
+            if (!totals.has(key)) {
+                totals.set(key, { id: key, name, quantity: 0, revenue: 0 });
+            }
+            const row = totals.get(key);
+            row.quantity += quantity;
+            row.revenue += lineRevenue;
+        };
+
+        sold.forEach(order => {
+            (order.items || []).forEach(item => {
+                const id = String(item.product?.id ?? '');
+                const product = productsById.get(id);
+                const category = product?.category || item.product?.category || null;
+                const quantity = amount(item.quantity);
+                const lineRevenue = item.subtotal !== undefined && item.subtotal !== null
+                    ? amount(item.subtotal)
+                    : quantity * amount(item.unitPrice);
+
+                addTo(productTotals, id, item.product?.name || product?.name || `منتج #${id}`, quantity, lineRevenue);
+                addTo(
+                    categoryTotals,
+                    category ? String(category.id) : '',
+                    category?.name || 'غير مصنف',
+                    quantity,
+                    lineRevenue
+                );
+            });
+        });
+
+        // Customers are told apart by phone number
+        const customers = new Map();
+        sold.forEach(order => {
+            const phone = sanitizePhone(order.customerPhone || '') || normalizeDigits(String(order.customerPhone || '')).replace(/\D/g, '');
+            if (!phone) return;
+
+            if (!customers.has(phone)) {
+                customers.set(phone, { phone, name: order.customerName || '', orders: 0, total: 0, lastOrderAt: null });
+            }
+            const customer = customers.get(phone);
+            customer.orders++;
+            customer.total += amount(order.totalAmount);
+            if (!customer.lastOrderAt || new Date(order.createdAt) > new Date(customer.lastOrderAt)) {
+                customer.lastOrderAt = order.createdAt;
+                customer.name = order.customerName || customer.name;
+            }
+        });
+
+        const totalRevenue = sold.reduce((sum, order) => sum + amount(order.totalAmount), 0);
+        const repeatCustomers = [...customers.values()]
+            .filter(customer => customer.orders > 1)
+            .sort((a, b) => b.orders - a.orders || b.total - a.total);
+
+        return {
+            kpis: {
+                revenue: totalRevenue,
+                orders: orders.length,
+                soldOrders: sold.length,
+                cancelledOrders: orders.length - sold.length,
+                averageOrderValue: sold.length > 0 ? totalRevenue / sold.length : 0,
+                itemsSold: [...productTotals.values()].reduce((sum, row) => sum + row.quantity, 0),
+                customers: customers.size,
+                repeatCustomers: repeatCustomers.length,
+                repeatRate: customers.size > 0 ? repeatCustomers.length / customers.size : 0,
+            },
+            revenue: [...revenue.values()],
+            byStatus,
+            products: [...productTotals.values()],
+            categories: [...categoryTotals.values()],
+            customers: repeatCustomers,
+        };
+    }
+
+    /**
+     * Whether a timestamp falls on a day of the period (local time)
+     * @param {string} createdAt - Order timestamp
+     * @param {string} from - YYYY-MM-DD
+     * @param {string} to - YYYY-MM-DD
+     * @returns {boolean} False for missing or invalid timestamps
+     */
+    static isInPeriod(createdAt, from, to) {
+        const date = new Date(createdAt);
+        if (!createdAt || Number.isNaN(date.getTime())) return false;
+
+        const day = OrderQuery.formatDay(date);
+        return day >= from && day <= to;
+    }
+
+    /**
+     * Highest rows by a metric
+     * @param {Array} rows - Product or category totals
+     * @param {string} metric - 'revenue' or 'quantity'
+     * @param {number} limit - Number of rows
+     * @returns {Array} Rows
+     */
+    static top(rows, metric = 'revenue', limit = APP_CONFIG.analytics.topLimit) {
+        const other = metric === 'revenue' ? 'quantity' : 'revenue';
+        return [...rows]
+            .sort((a, b) => b[metric] - a[metric] || b[other] - a[other])
+            .slice(0, limit);
+    }
+
+    /**
+     * Chart periods between two days
+     * @param {string} from - YYYY-MM-DD
+     * @param {string} to - YYYY-MM-DD
+     * @param {string} granularity - SalesAnalytics.GRANULARITIES value
+     * @returns {Array} [{key, label, revenue, orders}]
+     */
+    static getBuckets(from, to, granularity) {
+        const buckets = new Map();
+        const end = SalesAnalytics.parseDay(to);
+
+        for (const day = SalesAnalytics.parseDay(from); day <= end; day.setDate(day.getDate() + 1)) {
+            const key = SalesAnalytics.getBucketKey(day, granularity);
+            if (!buckets.has(key)) {
+                buckets.set(key, { key, label: SalesAnalytics.getBucketLabel(key, granularity), revenue: 0, orders: 0 });
+            }
+        }
+
+        return [...buckets.values()];
+    }
+
+    /**
+     * Period a date falls in
+     * @param {Date} date - Date
+     * @param {string} granularity - SalesAnalytics.GRANULARITIES value
+     * @returns {string} Day (YYYY-MM-DD), first day of the week (YYYY-MM-DD) or month (YYYY-MM)
+     */
+    static getBucketKey(date, granularity) {
+        if (granularity === SalesAnalytics.GRANULARITIES.MONTH) {
+            return OrderQuery.formatDay(date).slice(0, 7);
+        }
+
+        if (granularity === SalesAnalytics.GRANULARITIES.WEEK) {
+            const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+            start.setDate(start.getDate() - ((start.getDay() - APP_CONFIG.orderQuery.weekStartsOn + 7) % 7));
+            return OrderQuery.formatDay(start);
+        }
+
+        return OrderQuery.formatDay(date);
+    }
+
+    /**
+     * Short Arabic label for a chart period
+     * @param {string} key - Bucket key
+     * @param {string} granularity - SalesAnalytics.GRANULARITIES value
+     * @returns {string}
+     */
+    static getBucketLabel(key, granularity) {
+        if (granularity === SalesAnalytics.GRANULARITIES.MONTH) {
+            return SalesAnalytics.parseDay(`${key}-01`).toLocaleDateString('ar-EG', { month: 'short', year: 'numeric' });
+        }
+
+        const label = SalesAnalytics.parseDay(key).toLocaleDateString('ar-EG', { day: 'numeric', month: 'short' });
+        return granularity === SalesAnalytics.GRANULARITIES.WEEK ? `أسبوع ${label}` : label;
+    }
+
+    /**
+     * Column chart (revenue over time)
+     * @param {Array} series - [{label, revenue, orders}]
+     * @returns {string} HTML
+     */
+    static renderColumnChart(series) {
+        const max = Math.max(...series.map(point => point.revenue), 0);
+
+        if (max === 0) {
+            return '<p class="chart-empty">لا توجد مبيعات في هذه الفترة</p>';
+        }
+
+        return `
+            <div class="chart-columns" role="img" aria-label="الإيرادات خلال الفترة">
+                ${series.map(point => `
+                    <div class="chart-column" title="${sanitizeHTML(point.label)}: ${formatPrice(Math.round(point.revenue))} جنيه - ${formatPrice(point.orders)} طلب">
+                        <div class="chart-bar" style="height: ${Math.max((point.revenue / max) * 100, point.revenue > 0 ? 2 : 0)}%"></div>
+                        <span class="chart-label">${sanitizeHTML(point.label)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Horizontal bar list (statuses, products, categories)
+     * @param {Array} rows - [{label, value, display}]
+     * @returns {string} HTML
+     */
+    static renderBarList(rows) {
+        const max = Math.max(...rows.map(row => row.value), 0);
+
+        if (rows.length === 0 || max === 0) {
+            return '<p class="chart-empty">لا توجد بيانات</p>';
+        }
+
+        return `
+            <ul class="chart-list">
+                ${rows.map(row => `
+                    <li>
+                        <div class="chart-list-head">
+                            <span>${sanitizeHTML(row.label)}</span>
+                            <strong>${sanitizeHTML(row.display)}</strong>
+                        </div>
+                        <div class="chart-track"><div class="chart-fill" style="width: ${(row.value / max) * 100}%"></div></div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Local date from YYYY-MM-DD (new Date() would read it as UTC)
+     * @param {string} day - YYYY-MM-DD
+     * @returns {Date}
+     */
+    static parseDay(day) {
+        const [year, month, date] = day.split('-').map(Number);
+        return new Date(year, month - 1, date);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SalesAnalytics;
+}
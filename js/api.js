@@ -1,51 +1,81 @@
 /**
  * Gold Perfium - API Service
  * Centralized API communication layer
+ * All requests go through HttpClient (js/http.js) and reject with ApiError
+ * Admin requests recover from expired sessions via SessionManager (js/session.js)
+ * List methods resolve to a Page (js/pagination.js); walk every page with iterateItems()
+ * Public catalog reads are served through ResponseCache (js/cache.js) and
+ * invalidated by the admin methods that change the catalog
  */
 
 class APIService {
+    /**
+     * GET a public catalog resource through the response cache
+     * @param {string} resource - Cache resource name (key of APP_CONFIG.cache.ttl)
+     * @param {string} url - Request URL
+     * @param {object} params - Query parameters
+     * @param {object} options - Request options
+     * @param {boolean} options.fresh - Skip cached data and refresh the entry from the server
+     * @returns {Promise<any>} Response body
+     */
+    static async cachedRequest(resource, url, params, { fresh = false } = {}) {
+        const endpoint = HttpClient.buildUrl(url, params);
+        const fetcher = () => HttpClient.request(endpoint);
+
+        if (fresh) {
+            return ResponseCache.revalidate(endpoint, fetcher, [resource]);
+        }
+
+        return ResponseCache.get(endpoint, fetcher, {
+            ttl: APP_CONFIG.cache.ttl[resource],
+            tags: [resource],
+        });
+    }
+
+    /**
+     * Drop cached catalog data after a successful admin change
+     * @param {Array<string>} resources - Resources affected by the change
+     */
+    static invalidateCatalog(resources) {
+        ResponseCache.invalidate(resources).catch(error => {
+            console.error('Cache invalidation failed:', error);
+        });
+    }
+
     /**
      * Fetch categories with pagination
      * @param {number} page - Page number
      * @param {number} size - Page size
-     * @returns {Promise<object>} Categories response
+     * @returns {Promise<Page>} Categories page
      */
     static async getCategories(page = 0, size = 20) {
-        try {
-            const response = await fetch(`${API_ENDPOINTS.categories}?page=${page}&size=${size}`);
-
-            if (!response.ok) {
-                throw new Error('Failed to fetch categories');
-            }
-
-            const data = await response.json();
-            return data.content || data._embedded?.categories || data;
-        } catch (error) {
-            console.error('Error fetching categories:', error);
-            throw error;
-        }
+        const data = await APIService.cachedRequest('categories', API_ENDPOINTS.categories, { page, size });
+        return Page.from(data, 'categories', { page, size });
+    }
+
+    /**
+     * Fetch every category (all pages) as a tree
+     * @param {object} options - Request options
+     * @param {boolean} options.admin - Use the admin endpoint (includes inactive categories)
+     * @returns {Promise<CategoryTree>} Category tree (js/category-tree.js)
+     */
+    static async getCategoryTree({ admin = false } = {}) {
+        const fetchPage = admin
+            ? (page, size) => APIService.getAdminCategories(page, size)
+            : (page, size) => APIService.getCategories(page, size);
+
+        return new CategoryTree(await collectAllItems(fetchPage));
     }
 
     /**
      * Fetch active products
      * @param {number} page - Page number
      * @param {number} size - Page size
-     * @returns {Promise<object>} Products response
+     * @returns {Promise<Page>} Products page
      */
     static async getProducts(page = 0, size = 20) {
-        try {
-            const response = await fetch(`${API_ENDPOINTS.products}?page=${page}&size=${size}`);
-
-            if (!response.ok) {
-                throw new Error('Failed to fetch products');
-            }
-
-            const data = await response.json();
-            return data.content || data._embedded?.products || data;
-        } catch (error) {
-            console.error('Error fetching products:', error);
-            throw error;
-        }
+        const data = await APIService.cachedRequest('products', API_ENDPOINTS.products, { page, size });
+        return Page.from(data, 'products', { page, size });
     }
 
     /**
@@ -53,22 +83,41 @@ class APIService {
      * @param {number} categoryId - Category ID
      * @param {number} page - Page number
      * @param {number} size - Page size
-     * @returns {Promise<object>} Products response
+     * @returns {Promise<Page>} Products page
      */
     static async getProductsByCategory(categoryId, page = 0, size = 100) {
-        try {
-            const response = await fetch(`${API_ENDPOINTS.productsByCategory}/${categoryId}?page=${page}&size=${size}`);
-
-            if (!response.ok) {
-                throw new Error('Failed to fetch products by category');
-            }
-
-            const data = await response.json();
-            return data.content || data._embedded?.products || data;
-        } catch (error) {
-            console.error('Error fetching products by category:', error);
-            throw error;
-        }
+        const data = await APIService.cachedRequest('products', `${API_ENDPOINTS.productsByCategory}/${categoryId}`, { page, size });
+        return Page.from(data, 'products', { page, size });
+    }
+
+    /**
+     * Fetch a single product by ID
+     * @param {number|string} productId - Product ID
+     * @param {object} options - Request options
+     * @param {boolean} options.fresh - Bypass the cache (used before checkout)
+     * @returns {Promise<object>} Product
+     */
+    static async getProduct(productId, { fresh = false } = {}) {
+        return APIService.cachedRequest('products', `${API_ENDPOINTS.productDetails}/${encodeURIComponent(productId)}`, null, { fresh });
+    }
+
+    /**
+     * Fetch other active products from the same category, closest in price first
+     * @param {object} product - Product to find related items for
+     * @param {number} limit - Max number of products
+     * @returns {Promise<Array>} Related products
+     */
+    static async getRelatedProducts(product, limit = APP_CONFIG.relatedProductsLimit) {
+        if (!product?.categoryId) return [];
+
+        const page = await APIService.getProductsByCategory(product.categoryId, 0, APP_CONFIG.maxPageSize);
+        const price = Number(product.price) || 0;
+        const distance = item => Math.abs((Number(item.price) || 0) - price);
+
+        return page.items
+            .filter(item => item.id !== product.id && item.active !== false)
+            .sort((a, b) => distance(a) - distance(b))
+            .slice(0, limit);
     }
 
     /**
@@ -76,67 +125,50 @@ class APIService {
      * @param {string} keyword - Search keyword
      * @param {number} page - Page number
      * @param {number} size - Page size
-     * @returns {Promise<object>} Search results
+     * @returns {Promise<Page>} Search results page
      */
     static async searchProducts(keyword, page = 0, size = 10) {
-        try {
-            const response = await fetch(`${API_ENDPOINTS.productSearch}?keyword=${encodeURIComponent(keyword)}&page=${page}&size=${size}`);
-
-            if (!response.ok) {
-                throw new Error('Failed to search products');
-            }
-
-            const data = await response.json();
-            return data.content || data._embedded?.products || data;
-        } catch (error) {
-            console.error('Error searching products:', error);
-            throw error;
-        }
+        const data = await APIService.cachedRequest('search', API_ENDPOINTS.productSearch, { keyword, page, size });
+        return Page.from(data, 'products', { page, size });
     }
 
     /**
      * Create new order
+     * With an idempotency key the server returns the original order for a
+     * repeated submission, so the request is also safe to retry.
      * @param {object} orderData - Order data
+     * @param {object} options - Request options
+     * @param {string} options.idempotencyKey - Key identifying this checkout attempt
      * @returns {Promise<object>} Created order
      */
-    static async createOrder(orderData) {
-        try {
-            const response = await fetch(API_ENDPOINTS.orders, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(orderData),
-            });
-
-            if (!response.ok) {
-                throw new Error('Failed to create order');
-            }
-
-            return await response.json();
-        } catch (error) {
-            console.error('Error creating order:', error);
-            throw error;
-        }
+    static async createOrder(orderData, { idempotencyKey } = {}) {
+        return HttpClient.request(API_ENDPOINTS.orders, {
+            method: 'POST',
+            headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+            body: idempotencyKey ? { ...orderData, idempotencyKey } : orderData,
+        });
+    }
+
+    /**
+     * Look up an order for the customer who placed it (never cached)
+     * @param {number|string} orderId - Order ID
+     * @param {string} phone - Phone number the order was placed with
+     * @returns {Promise<object>} Order with its status and statusHistory
+     */
+    static async trackOrder(orderId, phone) {
+        return HttpClient.request(API_ENDPOINTS.orderTracking, {
+            params: { orderId, phone },
+        });
     }
 
     /**
      * Fetch admin/store info
+     * @param {object} options - Request options
+     * @param {boolean} options.fresh - Bypass the cache (used by the store info form)
      * @returns {Promise<object>} Admin info
      */
-    static async getAdminInfo() {
-        try {
-            const response = await fetch(API_ENDPOINTS.adminInfo);
-
-            if (!response.ok) {
-                throw new Error('Failed to fetch admin info');
-            }
-
-            return await response.json();
-        } catch (error) {
-            console.error('Error fetching admin info:', error);
-            throw error;
-        }
+    static async getAdminInfo({ fresh = false } = {}) {
+        return APIService.cachedRequest('adminInfo', API_ENDPOINTS.adminInfo, null, { fresh });
     }
 
     // ============================================
@@ -147,26 +179,23 @@ class APIService {
      * Fetch admin categories
      * @param {number} page - Page number
      * @param {number} size - Page size
-     * @returns {Promise<object>} Categories response
+     * @returns {Promise<Page>} Categories page
      */
     static async getAdminCategories(page = 0, size = 20) {
-        try {
-            const response = await authenticatedFetch(`${ADMIN_ENDPOINTS.categories}?page=${page}&size=${size}`);
-
-            if (!response.ok) {
-                if (response.status === 401) {
-                    clearAuthToken();
-                    window.location.href = 'login.html';
-                }
-                throw new Error('Failed to fetch admin categories');
-            }
-
-            const data = await response.json();
-            return data.content || data._embedded?.categories || data;
-        } catch (error) {
-            console.error('Error fetching admin categories:', error);
-            throw error;
-        }
+        const data = await HttpClient.request(ADMIN_ENDPOINTS.categories, {
+            auth: true,
+            params: { page, size },
+        });
+        return Page.from(data, 'categories', { page, size });
+    }
+
+    /**
+     * Fetch a single category, including inactive ones
+     * @param {number} categoryId - Category ID
+     * @returns {Promise<object>} Category
+     */
+    static async getAdminCategory(categoryId) {
+        return HttpClient.request(`${ADMIN_ENDPOINTS.categories}/${categoryId}`, { auth: true });
     }
 
     /**
@@ -175,24 +204,14 @@ class APIService {
      * @returns {Promise<object>} Created category
      */
     static async createCategory(categoryData) {
-        try {
-            const response = await authenticatedFetch(ADMIN_ENDPOINTS.categories, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(categoryData),
-            });
-
-            if (!response.ok) {
-                throw new Error('Failed to create category');
-            }
-
-            return await response.json();
-        } catch (error) {
-            console.error('Error creating category:', error);
-            throw error;
-        }
+        const result = await HttpClient.request(ADMIN_ENDPOINTS.categories, {
+            method: 'POST',
+            auth: true,
+            body: categoryData,
+        });
+
+        APIService.invalidateCatalog(['categories', 'products', 'search']);
+        return result;
     }
 
     /**
@@ -202,24 +221,14 @@ class APIService {
      * @returns {Promise<object>} Updated category
      */
     static async updateCategory(categoryId, categoryData) {
-        try {
-            const response = await authenticatedFetch(`${ADMIN_ENDPOINTS.categories}/${categoryId}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(categoryData),
-            });
-
-            if (!response.ok) {
-                throw new Error('Failed to update category');
-            }
-
-            return await response.json();
-        } catch (error) {
-            console.error('Error updating category:', error);
-            throw error;
-        }
+        const result = await HttpClient.request(`${ADMIN_ENDPOINTS.categories}/${categoryId}`, {
+            method: 'PUT',
+            auth: true,
+            body: categoryData,
+        });
+
+        APIService.invalidateCatalog(['categories', 'products', 'search']);
+        return result;
     }
 
     /**
@@ -228,44 +237,52 @@ class APIService {
      * @returns {Promise<void>}
      */
     static async deleteCategory(categoryId) {
-        try {
-            const response = await authenticatedFetch(`${ADMIN_ENDPOINTS.categories}/${categoryId}`, {
-                method: 'DELETE',
-            });
-
-            if (!response.ok) {
-                throw new Error('Failed to delete category');
-            }
-        } catch (error) {
-            console.error('Error deleting category:', error);
-            throw error;
-        }
+        await HttpClient.request(`${ADMIN_ENDPOINTS.categories}/${categoryId}`, {
+            method: 'DELETE',
+            auth: true,
+        });
+
+        APIService.invalidateCatalog(['categories', 'products', 'search']);
+    }
+
+    /**
+     * Upload a category's image (see MediaUpload in js/media.js)
+     * @param {number} categoryId - Category ID
+     * @param {File} file - Image file
+     * @param {object} options - {onProgress, signal}
+     * @returns {Promise<object>} {path, url, response}
+     */
+    static async uploadCategoryImage(categoryId, file, options = {}) {
+        const result = await MediaUpload.upload(`${ADMIN_ENDPOINTS.categories}/${categoryId}/image`, file, {
+            ...options,
+            kind: MediaUpload.KINDS.CATEGORY,
+        });
+
+        APIService.invalidateCatalog(['categories']);
+        return result;
     }
 
     /**
      * Fetch admin products
      * @param {number} page - Page number
      * @param {number} size - Page size
-     * @returns {Promise<object>} Products response
+     * @returns {Promise<Page>} Products page
      */
     static async getAdminProducts(page = 0, size = 20) {
-        try {
-            const response = await authenticatedFetch(`${ADMIN_ENDPOINTS.products}?page=${page}&size=${size}`);
-
-            if (!response.ok) {
-                if (response.status === 401) {
-                    clearAuthToken();
-                    window.location.href = 'login.html';
-                }
-                throw new Error('Failed to fetch admin products');
-            }
-
-            const data = await response.json();
-            return data.content || data._embedded?.products || data;
-        } catch (error) {
-            console.error('Error fetching admin products:', error);
-            throw error;
-        }
+        const data = await HttpClient.request(ADMIN_ENDPOINTS.products, {
+            auth: true,
+            params: { page, size },
+        });
+        return Page.from(data, 'products', { page, size });
+    }
+
+    /**
+     * Fetch a single product, including inactive ones
+     * @param {number} productId - Product ID
+     * @returns {Promise<object>} Product
+     */
+    static async getAdminProduct(productId) {
+        return HttpClient.request(`${ADMIN_ENDPOINTS.products}/${productId}`, { auth: true });
     }
 
     /**
@@ -274,24 +291,14 @@ class APIService {
      * @returns {Promise<object>} Created product
      */
     static async createProduct(productData) {
-        try {
-            const response = await authenticatedFetch(ADMIN_ENDPOINTS.products, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(productData),
-            });
-
-            if (!response.ok) {
-                throw new Error('Failed to create product');
-            }
-
-            return await response.json();
-        } catch (error) {
-            console.error('Error creating product:', error);
-            throw error;
-        }
+        const result = await HttpClient.request(ADMIN_ENDPOINTS.products, {
+            method: 'POST',
+            auth: true,
+            body: productData,
+        });
+
+        APIService.invalidateCatalog(['products', 'search']);
+        return result;
     }
 
     /**
@@ -301,24 +308,14 @@ class APIService {
      * @returns {Promise<object>} Updated product
      */
     static async updateProduct(productId, productData) {
-        try {
-            const response = await authenticatedFetch(`${ADMIN_ENDPOINTS.products}/${productId}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(productData),
-            });
-
-            if (!response.ok) {
-                throw new Error('Failed to update product');
-            }
-
-            return await response.json();
-        } catch (error) {
-            console.error('Error updating product:', error);
-            throw error;
-        }
+        const result = await HttpClient.request(`${ADMIN_ENDPOINTS.products}/${productId}`, {
+            method: 'PUT',
+            auth: true,
+            body: productData,
+        });
+
+        APIService.invalidateCatalog(['products', 'search']);
+        return result;
     }
 
     /**
@@ -327,44 +324,74 @@ class APIService {
      * @returns {Promise<void>}
      */
     static async deleteProduct(productId) {
-        try {
-            const response = await authenticatedFetch(`${ADMIN_ENDPOINTS.products}/${productId}`, {
-                method: 'DELETE',
-            });
-
-            if (!response.ok) {
-                throw new Error('Failed to delete product');
-            }
-        } catch (error) {
-            console.error('Error deleting product:', error);
-            throw error;
-        }
+        await HttpClient.request(`${ADMIN_ENDPOINTS.products}/${productId}`, {
+            method: 'DELETE',
+            auth: true,
+        });
+
+        APIService.invalidateCatalog(['products', 'search']);
     }
 
     /**
-     * Fetch admin orders
+     * Create or update a product from the admin form, with its new images
+     * Sent through MediaUpload.submit (js/media.js) for upload progress and cancellation.
+     * @param {number|null} productId - Product ID (null to create)
+     * @param {FormData} form - Product fields, new `images` files and, for an update, `existingImages` paths
+     * @param {object} options - {onProgress, signal}
+     * @returns {Promise<object>} Saved product
+     */
+    static async saveProductForm(productId, form, options = {}) {
+        const url = productId ? `${ADMIN_ENDPOINTS.products}/${productId}` : `${ADMIN_ENDPOINTS.products}/upload`;
+        const result = await MediaUpload.submit(url, form, {
+            ...options,
+            method: productId ? 'PUT' : 'POST',
+        });
+
+        APIService.invalidateCatalog(['products', 'search']);
+        return result;
+    }
+
+    /**
+     * Update the store info from the admin form, with a new logo or hero image
+     * Sent through MediaUpload.submit (js/media.js) for upload progress and cancellation;
+     * only the fields in the form are changed.
+     * @param {FormData} form - Store info fields, `logoImage` and `mainDivImage` files
+     * @param {object} options - {onProgress, signal}
+     * @returns {Promise<object>} Updated store info
+     */
+    static async updateStoreInfoForm(form, options = {}) {
+        const result = await MediaUpload.submit(API_ENDPOINTS.adminInfo, form, {
+            ...options,
+            method: 'PUT',
+        });
+
+        APIService.invalidateCatalog(['adminInfo']);
+        return result;
+    }
+
+    /**
+     * Fetch admin orders matching a query
+     * @param {object} query - Filters and sort (see OrderQuery in js/order-query.js):
+     * {status, range, from, to, phone, search, minTotal, maxTotal, sort, direction}
      * @param {number} page - Page number
      * @param {number} size - Page size
-     * @returns {Promise<object>} Orders response
+     * @returns {Promise<Page>} Orders page
      */
-    static async getAdminOrders(page = 0, size = 20) {
-        try {
-            const response = await authenticatedFetch(`${ADMIN_ENDPOINTS.orders}?page=${page}&size=${size}`);
-
-            if (!response.ok) {
-                if (response.status === 401) {
-                    clearAuthToken();
-                    window.location.href = 'login.html';
-                }
-                throw new Error('Failed to fetch admin orders');
-            }
-
-            const data = await response.json();
-            return data.content || data._embedded?.orders || data;
-        } catch (error) {
-            console.error('Error fetching admin orders:', error);
-            throw error;
-        }
+    static async getAdminOrders(query = {}, page = 0, size = 20) {
+        const data = await HttpClient.request(ADMIN_ENDPOINTS.orders, {
+            auth: true,
+            params: { ...OrderQuery.toParams(OrderQuery.normalize(query)), page, size },
+        });
+        return Page.from(data, 'orders', { page, size });
+    }
+
+    /**
+     * Fetch a single order
+     * @param {number} orderId - Order ID
+     * @returns {Promise<object>} Order as sent by the server
+     */
+    static async getAdminOrder(orderId) {
+        return HttpClient.request(`${ADMIN_ENDPOINTS.orders}/${orderId}`, { auth: true });
     }
 
     /**
@@ -374,24 +401,23 @@ class APIService {
      * @returns {Promise<object>} Updated order
      */
     static async updateOrder(orderId, orderData) {
-        try {
-            const response = await authenticatedFetch(`${ADMIN_ENDPOINTS.orders}/${orderId}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(orderData),
-            });
-
-            if (!response.ok) {
-                throw new Error('Failed to update order');
-            }
-
-            return await response.json();
-        } catch (error) {
-            console.error('Error updating order:', error);
-            throw error;
-        }
+        return HttpClient.request(`${ADMIN_ENDPOINTS.orders}/${orderId}`, {
+            method: 'PUT',
+            auth: true,
+            body: orderData,
+        });
+    }
+
+    /**
+     * Delete order
+     * @param {number} orderId - Order ID
+     * @returns {Promise<void>}
+     */
+    static async deleteOrder(orderId) {
+        await HttpClient.request(`${ADMIN_ENDPOINTS.orders}/${orderId}`, {
+            method: 'DELETE',
+            auth: true,
+        });
     }
 }
 
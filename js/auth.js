@@ -0,0 +1,312 @@
+/**
+ * Gold Perfium - Auth Session
+ * Single admin login/logout flow with bearer/JWT support, token expiry,
+ * "remember me" persistence and cross-tab logout sync
+ */
+
+class AuthSession {
+    /**
+     * Subscribers notified on login/logout
+     * @type {Set<Function>}
+     */
+    static listeners = new Set();
+
+    /**
+     * Timer that logs the admin out when the token expires
+     * @type {number|null}
+     */
+    static expiryTimer = null;
+
+    /**
+     * Sign in with username and password
+     * Uses the token endpoint when configured (bearer/JWT); otherwise verifies
+     * the credentials as Basic auth against a protected endpoint.
+     * @param {string} username - Admin username
+     * @param {string} password - Admin password
+     * @param {object} options - Login options
+     * @param {boolean} options.remember - Persist across browser restarts
+     * @returns {Promise<object>} New session
+     * @throws {ApiError} When the credentials are rejected or the server is unreachable
+     */
+    static async login(username, password, { remember = false } = {}) {
+        const { tokenEndpoint, verifyEndpoint } = APP_CONFIG.auth;
+
+        if (tokenEndpoint) {
+            const data = await HttpClient.request(tokenEndpoint, {
+                method: 'POST',
+                body: { username, password },
+            });
+
+            const token = data?.token || data?.accessToken || data?.access_token;
+            if (!token) {
+                throw new ApiError('Login response did not include a token', { endpoint: tokenEndpoint, method: 'POST', payload: data });
+            }
+
+            const expiresIn = Number(data.expiresIn || data.expires_in);
+
+            return AuthSession.start({
+                token,
+                type: 'Bearer',
+                username,
+                remember,
+                expiresAt: AuthSession.getTokenExpiry(token) || (expiresIn > 0 ? Date.now() + expiresIn * 1000 : null),
+            });
+        }
+
+        const token = btoa(`${username}:${password}`);
+
+        await HttpClient.request(verifyEndpoint, {
+            params: { page: 0, size: 1 },
+            headers: { 'Authorization': `Basic ${token}` },
+            retries: 0,
+        });
+
+        return AuthSession.start({ token, type: 'Basic', username, remember });
+    }
+
+    /**
+     * Store a new session and notify listeners
+     * @param {object} details - Session details
+     * @param {string} details.token - Access token
+     * @param {string} details.type - Authorization scheme ('Bearer' or 'Basic')
+     * @param {string} details.username - Admin username
+     * @param {boolean} details.remember - Persist in localStorage instead of sessionStorage
+     * @param {number|null} details.expiresAt - Expiry timestamp in ms (defaults to the configured TTL)
+     * @returns {object} Stored session
+     */
+    static start({ token, type = 'Bearer', username, remember = false, expiresAt = null }) {
+        const ttl = remember ? APP_CONFIG.auth.rememberTtl : APP_CONFIG.auth.sessionTtl;
+
+        const session = {
+            token,
+            type,
+            username,
+            remember,
+            expiresAt: expiresAt || Date.now() + ttl,
+        };
+
+        AuthSession.clearStorage();
+        secureSetItem(APP_CONFIG.authTokenKey, session, remember ? localStorage : sessionStorage);
+        localStorage.setItem(APP_CONFIG.usernameKey, username);
+        localStorage.setItem(APP_CONFIG.rememberMeKey, String(remember));
+
+        AuthSession.scheduleExpiry(session);
+        AuthSession.notify({ type: 'login', session });
+
+        return session;
+    }
+
+    /**
+     * End the session
+     * A logout chosen by the admin ('user') also ends every other open tab;
+     * expired and remote logouts only affect this tab.
+     * @param {object} options - Logout options
+     * @param {string} options.reason - 'user' | 'expired' | 'remote'
+     */
+    static logout({ reason = 'user' } = {}) {
+        AuthSession.clearStorage();
+        clearTimeout(AuthSession.expiryTimer);
+        AuthSession.expiryTimer = null;
+
+        if (reason === 'user') {
+            // Other tabs pick this up through the storage event
+            localStorage.setItem(APP_CONFIG.authLogoutKey, String(Date.now()));
+        }
+
+        AuthSession.notify({ type: 'logout', reason });
+    }
+
+    /**
+     * Current session, or null when signed out or expired
+     * @returns {object|null} Session
+     */
+    static getSession() {
+        const session = secureGetItem(APP_CONFIG.authTokenKey, true, sessionStorage)
+            || secureGetItem(APP_CONFIG.authTokenKey, true, localStorage);
+
+        if (!session || !session.token) {
+            return null;
+        }
+
+        if (session.expiresAt && session.expiresAt <= Date.now()) {
+            return null;
+        }
+
+        return session;
+    }
+
+    /**
+     * Check if an admin is signed in
+     * @returns {boolean}
+     */
+    static isAuthenticated() {
+        return AuthSession.getSession() !== null;
+    }
+
+    /**
+     * Current access token
+     * @returns {string|null} Token
+     */
+    static getToken() {
+        return AuthSession.getSession()?.token || null;
+    }
+
+    /**
+     * Signed-in username, falling back to the last one used on this browser
+     * @returns {string} Username
+     */
+    static getUsername() {
+        return AuthSession.getSession()?.username || localStorage.getItem(APP_CONFIG.usernameKey) || '';
+    }
+
+    /**
+     * Whether the last login on this browser chose "remember me"
+     * Survives logout so login forms and re-login can keep the same choice.
+     * @returns {boolean}
+     */
+    static isRemembered() {
+        return localStorage.getItem(APP_CONFIG.rememberMeKey) === 'true';
+    }
+
+    /**
+     * Authorization header value for the current session
+     * @returns {string|null} e.g. "Bearer eyJ..."
+     */
+    static getAuthorizationHeader() {
+        const session = AuthSession.getSession();
+        return session ? `${session.type} ${session.token}` : null;
+    }
+
+    /**
+     * Decode the payload of a JWT without verifying it
+     * @param {string} token - JWT
+     * @returns {object|null} Payload or null if the token is not a JWT
+     */
+    static parseJwt(token) {
+        const parts = String(token || '').split('.');
+        if (parts.length !== 3) return null;
+
+        try {
+            const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+            const padded = base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '=');
+            return JSON.parse(decodeURIComponent(escape(atob(padded))));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Expiry time from a JWT `exp` claim
+     * @param {string} token - JWT
+     * @returns {number|null} Expiry timestamp in ms
+     */
+    static getTokenExpiry(token) {
+        const exp = Number(AuthSession.parseJwt(token)?.exp);
+        return exp > 0 ? exp * 1000 : null;
+    }
+
+    /**
+     * Subscribe to login/logout events
+     * @param {Function} listener - Receives {type: 'login'|'logout', reason?, session?}
+     * @returns {Function} Unsubscribe function
+     */
+    static onChange(listener) {
+        AuthSession.listeners.add(listener);
+        return () => AuthSession.listeners.delete(listener);
+    }
+
+    /**
+     * Notify subscribers
+     * @param {object} event - Auth event
+     */
+    static notify(event) {
+        AuthSession.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Auth listener error:', error);
+            }
+        });
+    }
+
+    /**
+     * Log out automatically when the token expires
+     * Basic credentials have no server-side expiry, only the configured TTL:
+     * once that passes, the next admin request is rejected and SessionManager
+     * asks for the password again without leaving the page.
+     * @param {object} session - Current session
+     */
+    static scheduleExpiry(session) {
+        clearTimeout(AuthSession.expiryTimer);
+        AuthSession.expiryTimer = null;
+
+        if (!session?.expiresAt || session.type === 'Basic') return;
+
+        // setTimeout overflows above ~24.8 days; re-check when the shorter timer fires
+        const delay = Math.min(Math.max(session.expiresAt - Date.now(), 0), 2147483647);
+
+        AuthSession.expiryTimer = setTimeout(() => {
+            const current = AuthSession.getSession();
+            if (current) {
+                AuthSession.scheduleExpiry(current);
+            } else {
+                AuthSession.logout({ reason: 'expired' });
+            }
+        }, delay);
+    }
+
+    /**
+     * Remove the session from both storages
+     */
+    static clearStorage() {
+        secureRemoveItem(APP_CONFIG.authTokenKey, sessionStorage);
+        secureRemoveItem(APP_CONFIG.authTokenKey, localStorage);
+    }
+
+    /**
+     * Sync login/logout made in other tabs
+     * @param {StorageEvent} e - Storage event
+     */
+    static handleStorageEvent(e) {
+        if (e.key === APP_CONFIG.authLogoutKey && e.newValue) {
+            AuthSession.logout({ reason: 'remote' });
+        } else if (e.key === APP_CONFIG.authTokenKey && e.newValue) {
+            const session = AuthSession.getSession();
+            if (session) {
+                AuthSession.scheduleExpiry(session);
+                AuthSession.notify({ type: 'login', session });
+            }
+        }
+    }
+
+    /**
+     * Restore the session on page load and start listening for other tabs
+     */
+    static init() {
+        // Drop legacy plain-text credentials (unreadable as a secure session)
+        [localStorage, sessionStorage].forEach(storage => {
+            if (storage.getItem(APP_CONFIG.authTokenKey) && !secureGetItem(APP_CONFIG.authTokenKey, true, storage)) {
+                storage.removeItem(APP_CONFIG.authTokenKey);
+            }
+        });
+        document.cookie = `${APP_CONFIG.authTokenKey}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;`;
+
+        const session = AuthSession.getSession();
+        if (session) {
+            AuthSession.scheduleExpiry(session);
+        } else {
+            AuthSession.clearStorage();
+        }
+
+        window.addEventListener('storage', AuthSession.handleStorageEvent);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    AuthSession.init();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuthSession;
+}
@@ -0,0 +1,324 @@
+/**
+ * Gold Perfium - Response Cache
+ * Stale-while-revalidate cache for public catalog responses, kept in memory
+ * and IndexedDB, with request de-duplication and tag-based invalidation
+ */
+
+class ResponseCache {
+    /**
+     * In-memory entries: key -> {data, storedAt, tags}
+     * @type {Map<string, object>}
+     */
+    static memory = new Map();
+
+    /**
+     * Requests currently in flight: key -> {request, tags, invalidated}
+     * @type {Map<string, object>}
+     */
+    static inflight = new Map();
+
+    /**
+     * Subscribers notified when a background revalidation brings new data
+     * @type {Set<Function>}
+     */
+    static listeners = new Set();
+
+    /**
+     * Lazily opened IndexedDB connection (resolves to null when unavailable)
+     * @type {Promise<IDBDatabase|null>|null}
+     */
+    static dbPromise = null;
+
+    /**
+     * Read through the cache
+     * Fresh entries are returned as-is; stale entries are returned immediately
+     * while a background request refreshes them; missing or expired entries
+     * wait for the network. Concurrent calls for the same key share one request.
+     * @param {string} key - Cache key (usually the full request URL)
+     * @param {Function} fetcher - () => Promise<any> loading fresh data
+     * @param {object} options - Cache options
+     * @param {number} options.ttl - Time in ms an entry stays fresh
+     * @param {Array<string>} options.tags - Tags used for invalidation
+     * @returns {Promise<any>} Cached or fresh data
+     */
+    static async get(key, fetcher, { ttl = 0, tags = [] } = {}) {
+        if (!APP_CONFIG.cache.enabled) {
+            return fetcher();
+        }
+
+        const entry = await ResponseCache.read(key);
+
+        if (entry) {
+            const age = Date.now() - entry.storedAt;
+
+            if (age < ttl) {
+                return entry.data;
+            }
+
+            if (age < APP_CONFIG.cache.maxStale) {
+                ResponseCache.revalidate(key, fetcher, tags, { background: true }).catch(error => {
+                    console.error(`Background revalidation of ${key} failed:`, error);
+                });
+                return entry.data;
+            }
+        }
+
+        return ResponseCache.revalidate(key, fetcher, tags);
+    }
+
+    /**
+     * Fetch fresh data and store it, sharing in-flight requests
+     * Subscribers hear about background refreshes of stale data only, and only
+     * when the server's data differs from what was shown. A request invalidated
+     * while in flight still answers its caller but is neither stored nor announced.
+     * @param {string} key - Cache key
+     * @param {Function} fetcher - () => Promise<any>
+     * @param {Array<string>} tags - Invalidation tags
+     * @param {object} options - {background: refresh behind stale data already returned}
+     * @returns {Promise<any>} Fresh data
+     */
+    static revalidate(key, fetcher, tags, { background = false } = {}) {
+        if (ResponseCache.inflight.has(key)) {
+            return ResponseCache.inflight.get(key).request;
+        }
+
+        const previous = background ? ResponseCache.memory.get(key) : null;
+        const pending = { tags, invalidated: false };
+
+        pending.request = fetcher()
+            .then(data => {
+                // The response may predate the change that invalidated it
+                if (pending.invalidated) return data;
+
+                ResponseCache.write(key, { data, storedAt: Date.now(), tags });
+
+                if (previous && !ResponseCache.isSameData(previous.data, data)) {
+                    ResponseCache.notify({ key, tags, data });
+                }
+
+                return data;
+            })
+            .finally(() => {
+                if (ResponseCache.inflight.get(key) === pending) {
+                    ResponseCache.inflight.delete(key);
+                }
+            });
+
+        ResponseCache.inflight.set(key, pending);
+        return pending.request;
+    }
+
+    /**
+     * Whether two responses carry the same data
+     * @param {any} a - Cached data
+     * @param {any} b - Fresh data
+     * @returns {boolean}
+     */
+    static isSameData(a, b) {
+        try {
+            return JSON.stringify(a) === JSON.stringify(b);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Drop every entry carrying any of the given tags, in this tab and other tabs
+     * @param {Array<string>} tags - Tags to invalidate
+     * @param {boolean} broadcast - Tell other tabs (false when handling their message)
+     * @returns {Promise<void>}
+     */
+    static async invalidate(tags, broadcast = true) {
+        const matches = entry => entry.tags?.some(tag => tags.includes(tag));
+
+        ResponseCache.memory.forEach((entry, key) => {
+            if (matches(entry)) ResponseCache.memory.delete(key);
+        });
+
+        ResponseCache.dropInflight(matches);
+
+        if (broadcast) {
+            localStorage.setItem(APP_CONFIG.cache.invalidationKey, JSON.stringify({ tags, at: Date.now() }));
+        }
+
+        const db = await ResponseCache.openDB();
+        if (!db) return;
+
+        await new Promise(resolve => {
+            const tx = db.transaction(APP_CONFIG.cache.storeName, 'readwrite');
+            const request = tx.objectStore(APP_CONFIG.cache.storeName).openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (matches(cursor.value)) cursor.delete();
+                cursor.continue();
+            };
+
+            tx.oncomplete = resolve;
+            tx.onerror = () => resolve();
+        });
+    }
+
+    /**
+     * Stop sharing and storing in-flight requests, so the next read starts a new one
+     * @param {Function} matches - (pending) => boolean selecting the requests to drop
+     */
+    static dropInflight(matches) {
+        ResponseCache.inflight.forEach((pending, key) => {
+            if (matches(pending)) {
+                pending.invalidated = true;
+                ResponseCache.inflight.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Remove every cached response
+     * @returns {Promise<void>}
+     */
+    static async clear() {
+        ResponseCache.memory.clear();
+        ResponseCache.dropInflight(() => true);
+
+        const db = await ResponseCache.openDB();
+        if (!db) return;
+
+        await new Promise(resolve => {
+            const tx = db.transaction(APP_CONFIG.cache.storeName, 'readwrite');
+            tx.objectStore(APP_CONFIG.cache.storeName).clear();
+            tx.oncomplete = resolve;
+            tx.onerror = () => resolve();
+        });
+    }
+
+    /**
+     * Subscribe to data refreshed in the background
+     * @param {Function} listener - Receives {key, tags, data}
+     * @returns {Function} Unsubscribe function
+     */
+    static onUpdate(listener) {
+        ResponseCache.listeners.add(listener);
+        return () => ResponseCache.listeners.delete(listener);
+    }
+
+    /**
+     * Notify subscribers
+     * @param {object} event - Update event
+     */
+    static notify(event) {
+        ResponseCache.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Cache listener error:', error);
+            }
+        });
+    }
+
+    /**
+     * Read an entry from memory, falling back to IndexedDB
+     * @param {string} key - Cache key
+     * @returns {Promise<object|null>} Entry
+     */
+    static async read(key) {
+        if (ResponseCache.memory.has(key)) {
+            return ResponseCache.memory.get(key);
+        }
+
+        const db = await ResponseCache.openDB();
+        if (!db) return null;
+
+        const entry = await new Promise(resolve => {
+            const request = db.transaction(APP_CONFIG.cache.storeName, 'readonly')
+                .objectStore(APP_CONFIG.cache.storeName)
+                .get(key);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => resolve(null);
+        });
+
+        if (entry) {
+            ResponseCache.memory.set(key, entry);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Store an entry in memory and IndexedDB
+     * @param {string} key - Cache key
+     * @param {object} entry - {data, storedAt, tags}
+     */
+    static async write(key, entry) {
+        ResponseCache.memory.set(key, entry);
+
+        const db = await ResponseCache.openDB();
+        if (!db) return;
+
+        try {
+            db.transaction(APP_CONFIG.cache.storeName, 'readwrite')
+                .objectStore(APP_CONFIG.cache.storeName)
+                .put({ key, ...entry });
+        } catch (error) {
+            console.error('Cache write error:', error);
+        }
+    }
+
+    /**
+     * Open (or create) the cache database
+     * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+     */
+    static openDB() {
+        if (ResponseCache.dbPromise) {
+            return ResponseCache.dbPromise;
+        }
+
+        ResponseCache.dbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            try {
+                const request = indexedDB.open(APP_CONFIG.cache.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(APP_CONFIG.cache.storeName, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+                request.onblocked = () => resolve(null);
+            } catch (error) {
+                // Private browsing modes may refuse IndexedDB; fall back to memory only
+                resolve(null);
+            }
+        });
+
+        return ResponseCache.dbPromise;
+    }
+
+    /**
+     * Apply invalidations made in other tabs
+     * @param {StorageEvent} e - Storage event
+     */
+    static handleStorageEvent(e) {
+        if (e.key !== APP_CONFIG.cache.invalidationKey || !e.newValue) return;
+
+        try {
+            const { tags } = JSON.parse(e.newValue);
+            ResponseCache.invalidate(tags, false);
+        } catch (error) {
+            console.error('Cache invalidation sync error:', error);
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('storage', ResponseCache.handleStorageEvent);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResponseCache;
+}
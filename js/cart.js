@@ -1,49 +1,289 @@
 /**
  * Gold Perfium - Cart Management
  * Handles shopping cart operations and local storage
+ * Lines are revalidated against the products API (js/api.js) before checkout
+ * Stored as {version, items}; see CartManager.migrate for older formats
+ * Emits change events and stays in sync with other tabs through the `storage` event
+ * Prices (discounts, promo code, shipping) come from PricingEngine (js/pricing.js)
  */
 
 class CartManager {
     constructor() {
+        /**
+         * Subscribers notified on every cart change
+         * @type {Set<Function>}
+         */
+        this.listeners = new Set();
+        /**
+         * Promo code applied by the customer
+         * @type {string|null}
+         */
+        this.promoCode = null;
         this.cart = this.loadCart();
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('storage', e => this.handleStorageEvent(e));
+        }
     }
 
     /**
      * Load cart from localStorage
+     * Older formats are migrated, expired and malformed lines are dropped, and
+     * an unreadable value is discarded instead of breaking the page.
      * @returns {Array} Cart items
      */
     loadCart() {
         const cartJSON = localStorage.getItem(APP_CONFIG.cartStorageKey);
-        return cartJSON ? JSON.parse(cartJSON) : [];
+        this.promoCode = null;
+        if (!cartJSON) return [];
+
+        let stored;
+        try {
+            stored = JSON.parse(cartJSON);
+        } catch (error) {
+            console.error('Corrupt cart data discarded:', error);
+            localStorage.removeItem(APP_CONFIG.cartStorageKey);
+            return [];
+        }
+
+        const migrated = CartManager.migrate(stored);
+        if (stored?.version === APP_CONFIG.cartVersion) {
+            this.promoCode = stored.promoCode || null;
+        }
+        const now = Date.now();
+        const items = migrated.filter(item =>
+            CartManager.isValidItem(item) && now - item.updatedAt <= APP_CONFIG.cartMaxAge
+        );
+
+        if (stored?.version !== APP_CONFIG.cartVersion || items.length !== migrated.length) {
+            this.cart = items;
+            this.saveCart();
+        }
+
+        return items;
     }
 
     /**
      * Save cart to localStorage
      */
     saveCart() {
-        localStorage.setItem(APP_CONFIG.cartStorageKey, JSON.stringify(this.cart));
+        localStorage.setItem(APP_CONFIG.cartStorageKey, JSON.stringify({
+            version: APP_CONFIG.cartVersion,
+            items: this.cart,
+            promoCode: this.promoCode,
+        }));
+    }
+
+    /**
+     * Bring stored cart data up to the current format
+     * v1: bare array of {product, quantity, unitPrice} holding full product objects
+     * v2: {version, items, promoCode} where each item keeps a minimal product snapshot
+     * @param {any} stored - Parsed storage value
+     * @returns {Array} Items in the current format (not yet validated)
+     */
+    static migrate(stored) {
+        if (Array.isArray(stored)) {
+            const now = Date.now();
+            return stored.map(item => ({
+                product: CartManager.toSnapshot(item?.product || {}),
+                quantity: item?.quantity,
+                unitPrice: item?.unitPrice ?? item?.product?.price ?? 0,
+                updatedAt: now,
+            }));
+        }
+
+        if (stored?.version === APP_CONFIG.cartVersion && Array.isArray(stored.items)) {
+            return stored.items;
+        }
+
+        // Unknown or newer format: start over rather than guess
+        return [];
+    }
+
+    /**
+     * Keep only what the cart needs to display a line and apply quantity
+     * rules; everything else is refreshed from the products API at checkout
+     * @param {object} product - Product (API shape or an older snapshot)
+     * @returns {object} Product snapshot
+     */
+    static toSnapshot(product) {
+        const stock = product.stock ?? product.quantity;
+
+        return {
+            id: product.id,
+            name: product.name || '',
+            image: product.images?.[0] || product.image || null,
+            categoryId: product.categoryId ?? null,
+            categoryName: product.categoryName || null,
+            stock: Number.isInteger(stock) ? stock : null,
+            maxPerOrder: Number.isInteger(product.maxPerOrder) ? product.maxPerOrder : null,
+            salePrice: typeof product.salePrice === 'number' ? product.salePrice : null,
+            saleEndsAt: product.saleEndsAt || null,
+        };
+    }
+
+    /**
+     * Check a stored line is usable
+     * @param {object} item - Cart line
+     * @returns {boolean} True if valid
+     */
+    static isValidItem(item) {
+        return Boolean(item && item.product)
+            && item.product.id !== undefined && item.product.id !== null
+            && Number.isInteger(item.quantity) && item.quantity > 0
+            && typeof item.unitPrice === 'number' && Number.isFinite(item.unitPrice) && item.unitPrice >= 0
+            && typeof item.updatedAt === 'number';
+    }
+
+    /**
+     * Highest quantity allowed for one line, and the rule that sets it
+     * @param {object} snapshot - Product snapshot
+     * @returns {object} {max, reason}
+     */
+    static getLineLimit(snapshot) {
+        const rules = [
+            { max: snapshot.stock, reason: snapshot.stock <= 0 ? 'outOfStock' : 'stock' },
+            { max: snapshot.maxPerOrder, reason: 'maxPerOrder' },
+            { max: APP_CONFIG.cartLimits.maxQuantityPerProduct, reason: 'maxQuantityPerProduct' },
+        ];
+
+        return rules
+            .filter(rule => Number.isInteger(rule.max))
+            .reduce((lowest, rule) => (rule.max < lowest.max ? rule : lowest), { max: Infinity, reason: null });
+    }
+
+    /**
+     * Arabic explanation for a rejected or clamped change
+     * @param {string} reason - Rule that applied
+     * @param {number} limit - The rule's limit
+     * @returns {string} Message
+     */
+    static getReasonMessage(reason, limit) {
+        const count = Number(limit).toLocaleString('ar-EG');
+
+        const messages = {
+            invalidQuantity: 'الكمية يجب أن تكون عدداً صحيحاً أكبر من صفر',
+            unavailable: 'هذا المنتج غير متاح حالياً',
+            notInCart: 'المنتج غير موجود في السلة',
+            outOfStock: 'هذا المنتج نفد من المخزون',
+            stock: `المتاح في المخزون ${count} فقط`,
+            maxPerOrder: `الحد الأقصى لهذا المنتج في الطلب الواحد ${count}`,
+            maxQuantityPerProduct: `لا يمكن طلب أكثر من ${count} من نفس المنتج`,
+            maxLines: `لا يمكن إضافة أكثر من ${count} منتجات مختلفة إلى السلة`,
+            maxOrderTotal: `الحد الأقصى لقيمة الطلب ${formatPrice(limit)} جنيه`,
+        };
+
+        return messages[reason] || '';
+    }
+
+    /**
+     * Build the result returned by addItem/updateQuantity
+     * @param {string} status - 'added'|'updated'|'removed'|'clamped'|'rejected'
+     * @param {object} details - {productId, quantity, requested, reason, limit}
+     * @returns {object} {ok, status, productId, quantity, requested, reason, message, items}
+     */
+    result(status, { productId, quantity = 0, requested = 0, reason = null, limit = null }) {
+        return {
+            ok: status !== 'rejected',
+            status,
+            productId,
+            quantity,
+            requested,
+            reason,
+            message: reason ? CartManager.getReasonMessage(reason, limit) : null,
+            items: this.cart,
+        };
+    }
+
+    /**
+     * Apply the line and order-total rules to a requested line quantity
+     * @param {object} snapshot - Product snapshot
+     * @param {number} current - Quantity already in the cart
+     * @param {number} desired - Requested line quantity
+     * @param {number} unitPrice - Line unit price
+     * @returns {object} {allowed, reason, limit}
+     */
+    resolveQuantity(snapshot, current, desired, unitPrice) {
+        const line = CartManager.getLineLimit(snapshot);
+        let allowed = Math.min(desired, line.max);
+        let reason = desired > line.max ? line.reason : null;
+        let limit = line.max;
+
+        const maxOrderTotal = APP_CONFIG.cartLimits.maxOrderTotal;
+        if (maxOrderTotal && unitPrice > 0) {
+            const otherLines = this.getTotal() - current * unitPrice;
+            const byTotal = Math.max(Math.floor((maxOrderTotal - otherLines) / unitPrice), 0);
+
+            if (byTotal < allowed) {
+                allowed = byTotal;
+                reason = 'maxOrderTotal';
+                limit = maxOrderTotal;
+            }
+        }
+
+        return { allowed, reason, limit };
     }
 
     /**
      * Add item to cart
+     * The quantity is clamped to the quantity rules (APP_CONFIG.cartLimits,
+     * product stock and maxPerOrder); the change is rejected if nothing can be added.
      * @param {object} product - Product to add
      * @param {number} quantity - Quantity to add
+     * @returns {object} Result: {ok, status, quantity, requested, reason, message, items}
      */
     addItem(product, quantity = 1) {
-        const existingItem = this.cart.find(item => item.product.id === product.id);
+        const productId = product.id;
+        const requested = quantity;
+
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return this.result('rejected', { productId, requested, reason: 'invalidQuantity' });
+        }
+
+        if (product.active === false) {
+            return this.result('rejected', { productId, requested, reason: 'unavailable' });
+        }
+
+        const existingItem = this.cart.find(item => item.product.id === productId);
+        const maxLines = APP_CONFIG.cartLimits.maxLines;
+
+        if (!existingItem && maxLines && this.cart.length >= maxLines) {
+            return this.result('rejected', { productId, requested, reason: 'maxLines', limit: maxLines });
+        }
+
+        const snapshot = CartManager.toSnapshot(product);
+        const current = existingItem ? existingItem.quantity : 0;
+        const unitPrice = existingItem ? existingItem.unitPrice : (product.price || 0);
+        const { allowed, reason, limit } = this.resolveQuantity(snapshot, current, current + quantity, unitPrice);
+
+        if (allowed <= current) {
+            return this.result('rejected', { productId, quantity: current, requested, reason, limit });
+        }
 
         if (existingItem) {
-            existingItem.quantity += quantity;
+            existingItem.product = snapshot;
+            existingItem.quantity = allowed;
+            existingItem.updatedAt = Date.now();
         } else {
             this.cart.push({
-                product: product,
-                quantity: quantity,
-                unitPrice: product.price || 0,
+                product: snapshot,
+                quantity: allowed,
+                unitPrice: unitPrice,
+                updatedAt: Date.now(),
             });
         }
 
         this.saveCart();
-        return this.cart;
+        this.notify({ type: 'added', productId, quantity: allowed - current });
+
+        const clamped = allowed < current + quantity;
+        return this.result(clamped ? 'clamped' : 'added', {
+            productId,
+            quantity: allowed,
+            requested,
+            reason: clamped ? reason : null,
+            limit,
+        });
     }
 
     /**
@@ -53,32 +293,65 @@ class CartManager {
     removeItem(productId) {
         this.cart = this.cart.filter(item => item.product.id !== productId);
         this.saveCart();
+        this.notify({ type: 'removed', productId });
         return this.cart;
     }
 
     /**
      * Update item quantity
+     * Increases follow the same rules as addItem; decreases always apply and
+     * remove the line when it reaches zero.
      * @param {number} productId - Product ID
      * @param {number} change - Quantity change (can be negative)
+     * @returns {object} Result: {ok, status, quantity, requested, reason, message, items}
      */
     updateQuantity(productId, change) {
         const item = this.cart.find(item => item.product.id === productId);
+        const requested = change;
+
+        if (!item) {
+            return this.result('rejected', { productId, requested, reason: 'notInCart' });
+        }
+
+        if (!Number.isInteger(change) || change === 0) {
+            return this.result('rejected', { productId, quantity: item.quantity, requested, reason: 'invalidQuantity' });
+        }
+
+        if (item.quantity + change <= 0) {
+            this.removeItem(productId);
+            return this.result('removed', { productId, requested });
+        }
 
-        if (item) {
-            item.quantity += change;
+        let allowed = item.quantity + change;
+        let reason = null;
+        let limit = null;
 
-            if (item.quantity <= 0) {
-                this.removeItem(productId);
-            } else {
-                this.saveCart();
+        if (change > 0) {
+            ({ allowed, reason, limit } = this.resolveQuantity(item.product, item.quantity, allowed, item.unitPrice));
+
+            if (allowed <= item.quantity) {
+                return this.result('rejected', { productId, quantity: item.quantity, requested, reason, limit });
             }
         }
 
-        return this.cart;
+        const clamped = allowed < item.quantity + change;
+        item.quantity = allowed;
+        item.updatedAt = Date.now();
+
+        this.saveCart();
+        this.notify({ type: 'quantity', productId, quantity: item.quantity });
+
+        return this.result(clamped ? 'clamped' : 'updated', {
+            productId,
+            quantity: item.quantity,
+            requested,
+            reason: clamped ? reason : null,
+            limit,
+        });
     }
 
     /**
-     * Get cart total
+     * Get cart subtotal before discounts and shipping (see getBreakdown)
      * @returns {number} Total price
      */
     getTotal() {
@@ -87,6 +360,76 @@ class CartManager {
         }, 0);
     }
 
+    /**
+     * Itemized price breakdown: subtotal, discounts, shipping and total
+     * @param {object} options - Extra PricingEngine options (e.g. governorate)
+     * @returns {object} Breakdown from PricingEngine.calculate
+     */
+    getBreakdown(options = {}) {
+        return PricingEngine.calculate(this.cart, { promoCode: this.promoCode, ...options });
+    }
+
+    /**
+     * Validate and apply a promo code
+     * @param {string} code - Code entered by the customer
+     * @returns {object} {ok, message, breakdown}
+     */
+    applyPromoCode(code) {
+        if (!code || !code.trim()) {
+            return { ok: false, message: 'أدخل كود الخصم', breakdown: this.getBreakdown() };
+        }
+
+        const breakdown = PricingEngine.calculate(this.cart, { promoCode: code });
+
+        if (!breakdown.promo.valid) {
+            return { ok: false, message: breakdown.promo.message, breakdown: this.getBreakdown() };
+        }
+
+        this.promoCode = breakdown.promo.code;
+        this.saveCart();
+        this.notify({ type: 'promo', promoCode: this.promoCode });
+
+        return { ok: true, message: breakdown.promo.message, breakdown };
+    }
+
+    /**
+     * Remove the applied promo code
+     */
+    removePromoCode() {
+        this.promoCode = null;
+        this.saveCart();
+        this.notify({ type: 'promo', promoCode: null });
+    }
+
+    /**
+     * Build the createOrder payload from the cart and its price breakdown
+     * Line unit prices include sale prices; bundle and promo discounts are order-level.
+     * @param {object} customer - Customer fields (customerName, customerPhone, shippingAddress, ...)
+     * @param {object} options - Extra PricingEngine options (e.g. governorate)
+     * @returns {object} Order data
+     */
+    toOrderData(customer, options = {}) {
+        const breakdown = this.getBreakdown(options);
+
+        return {
+            ...customer,
+            subtotalAmount: breakdown.subtotal,
+            discountAmount: breakdown.discountTotal,
+            discounts: breakdown.discounts.map(({ type, code, id, amount }) => ({ type, code, id, amount })),
+            promoCode: breakdown.promo?.valid ? breakdown.promo.code : null,
+            shippingFee: breakdown.shipping.fee,
+            deliveryDays: breakdown.shipping.days,
+            totalAmount: breakdown.total,
+            status: APP_CONFIG.orderStatus.NEW,
+            items: breakdown.lines.map(line => ({
+                product: { id: line.productId },
+                quantity: line.quantity,
+                unitPrice: line.effectivePrice,
+                subtotal: line.subtotal,
+            })),
+        };
+    }
+
     /**
      * Get total items count
      * @returns {number} Total items
@@ -100,7 +443,9 @@ class CartManager {
      */
     clearCart() {
         this.cart = [];
+        this.promoCode = null;
         this.saveCart();
+        this.notify({ type: 'cleared' });
         return this.cart;
     }
 
@@ -119,6 +464,116 @@ class CartManager {
     isEmpty() {
         return this.cart.length === 0;
     }
+
+    /**
+     * Refresh every line against the products API before checkout
+     * Prices are updated to the current price, removed or inactive products are
+     * dropped and quantities are capped by the line quantity rules. Nothing changes
+     * if any product could not be checked (e.g. network error).
+     * @returns {Promise<object>} Diff: {changes, hasChanges, total}
+     * Each change is {type: 'price'|'removed'|'inactive'|'outOfStock'|'quantity',
+     * productId, name, from, to, message}
+     */
+    async revalidate() {
+        const lines = await Promise.all(this.cart.map(async item => {
+            try {
+                const product = await APIService.getProduct(item.product.id, { fresh: true });
+                return { item, product };
+            } catch (error) {
+                if (error instanceof ApiError && error.isNotFound) {
+                    return { item, product: null };
+                }
+                throw error;
+            }
+        }));
+
+        const changes = [];
+
+        this.cart = lines.flatMap(({ item, product }) => {
+            const change = (type, from, to, message) => {
+                changes.push({ type, productId: item.product.id, name: item.product.name, from, to, message });
+            };
+
+            if (!product) {
+                change('removed', item.quantity, 0, `المنتج "${item.product.name}" لم يعد متوفراً وتم حذفه من السلة`);
+                return [];
+            }
+
+            if (product.active === false) {
+                change('inactive', item.quantity, 0, `المنتج "${product.name}" غير متاح حالياً وتم حذفه من السلة`);
+                return [];
+            }
+
+            const snapshot = CartManager.toSnapshot(product);
+            const limit = CartManager.getLineLimit(snapshot);
+
+            if (limit.max <= 0) {
+                change('outOfStock', item.quantity, 0, `المنتج "${product.name}" نفد من المخزون وتم حذفه من السلة`);
+                return [];
+            }
+
+            const updated = { ...item, product: snapshot };
+            const price = product.price || 0;
+
+            if (price !== (item.unitPrice || 0)) {
+                change('price', item.unitPrice || 0, price,
+                    `تغير سعر "${product.name}" من ${formatPrice(item.unitPrice || 0)} إلى ${formatPrice(price)} جنيه`);
+                updated.unitPrice = price;
+            }
+
+            if (item.quantity > limit.max) {
+                change('quantity', item.quantity, limit.max,
+                    `"${product.name}": ${CartManager.getReasonMessage(limit.reason, limit.max)}، تم تعديل الكمية في السلة`);
+                updated.quantity = limit.max;
+            }
+
+            return [updated];
+        });
+
+        this.saveCart();
+        this.notify({ type: 'revalidated', changes });
+
+        return {
+            changes,
+            hasChanges: changes.length > 0,
+            total: this.getBreakdown().total,
+        };
+    }
+
+    /**
+     * Subscribe to cart changes, including changes made in other tabs
+     * @param {Function} listener - Receives {type: 'added'|'removed'|'quantity'|'cleared'|'promo'|'revalidated'|'synced', productId?, quantity?, promoCode?, changes?, items}
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Notify subscribers
+     * @param {object} event - Cart event
+     */
+    notify(event) {
+        this.listeners.forEach(listener => {
+            try {
+                listener({ ...event, items: this.cart });
+            } catch (error) {
+                console.error('Cart listener error:', error);
+            }
+        });
+    }
+
+    /**
+     * Reload the cart when another tab changes it
+     * @param {StorageEvent} e - Storage event
+     */
+    handleStorageEvent(e) {
+        if (e.key !== APP_CONFIG.cartStorageKey && e.key !== null) return;
+
+        this.cart = this.loadCart();
+        this.notify({ type: 'synced' });
+    }
 }
 
 // Export for use in other modules
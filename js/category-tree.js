@@ -0,0 +1,254 @@
+/**
+ * Gold Perfium - Category Tree
+ * Assembles the flat category list into parent/child nodes for nested
+ * navigation, breadcrumbs and the admin tree editor. Bad data never breaks
+ * the tree: categories whose parent is missing (orphans) and categories that
+ * are their own ancestors (cycles) are shown at the top level and reported.
+ */
+
+class CategoryTree {
+    /**
+     * @param {Array} categories - Categories as returned by the API ({id, name, parentId, sortOrder, ...})
+     */
+    constructor(categories = []) {
+        /** @type {Map<string, object>} id -> {id, category, parentId, children, depth} */
+        this.nodes = new Map();
+        /** @type {Array<object>} Top-level nodes, in display order */
+        this.roots = [];
+        /** @type {Array<object>} Categories whose parent does not exist */
+        this.orphans = [];
+        /** @type {Array<Array<string>>} Category IDs forming each parent cycle */
+        this.cycles = [];
+
+        categories.forEach(category => {
+            const id = String(category.id);
+            if (!this.nodes.has(id)) {
+                this.nodes.set(id, { id, category, parentId: CategoryTree.getParentId(category), children: [], depth: 0 });
+            }
+        });
+
+        this.nodes.forEach(node => {
+            if (node.parentId !== null && !this.nodes.has(node.parentId)) {
+                this.orphans.push(node.category);
+                node.parentId = null;
+            }
+        });
+
+        this.breakCycles();
+        this.link();
+    }
+
+    /**
+     * Parent ID of a category (parentId, or a nested parent object)
+     * @param {object} category - Category
+     * @returns {string|null} Parent ID
+     */
+    static getParentId(category) {
+        const parentId = category.parentId ?? category.parent?.id ?? null;
+        return parentId === null || parentId === '' ? null : String(parentId);
+    }
+
+    /**
+     * Display order: sortOrder first, then name
+     * @param {object} a - Node
+     * @param {object} b - Node
+     * @returns {number}
+     */
+    static compare(a, b) {
+        const order = node => (Number.isFinite(Number(node.category.sortOrder)) && node.category.sortOrder !== null
+            ? Number(node.category.sortOrder)
+            : Infinity);
+
+        return order(a) - order(b) || String(a.category.name || '').localeCompare(String(b.category.name || ''), 'ar');
+    }
+
+    /**
+     * Detach every parent cycle at one of its categories (the first in display order),
+     * which then shows at the top level
+     */
+    breakCycles() {
+        const resolved = new Set();
+
+        this.nodes.forEach(start => {
+            const path = [];
+            let node = start;
+
+            while (node && !resolved.has(node.id)) {
+                const loopStart = path.indexOf(node);
+                if (loopStart !== -1) {
+                    const cycle = path.slice(loopStart);
+                    const detached = [...cycle].sort(CategoryTree.compare)[0];
+                    detached.parentId = null;
+                    this.cycles.push(cycle.map(member => member.id));
+                    break;
+                }
+
+                path.push(node);
+                node = node.parentId !== null ? this.nodes.get(node.parentId) : null;
+            }
+
+            path.forEach(member => resolved.add(member.id));
+        });
+    }
+
+    /**
+     * Rebuild children lists, roots and depths from each node's parentId
+     */
+    link() {
+        this.roots = [];
+        this.nodes.forEach(node => {
+            node.children = [];
+        });
+
+        this.nodes.forEach(node => {
+            if (node.parentId === null) {
+                this.roots.push(node);
+            } else {
+                this.nodes.get(node.parentId).children.push(node);
+            }
+        });
+
+        const arrange = (nodes, depth) => {
+            nodes.sort(CategoryTree.compare);
+            nodes.forEach(node => {
+                node.depth = depth;
+                arrange(node.children, depth + 1);
+            });
+        };
+        arrange(this.roots, 0);
+    }
+
+    /**
+     * Whether the data had orphans or cycles
+     * @returns {boolean}
+     */
+    get hasIssues() {
+        return this.orphans.length > 0 || this.cycles.length > 0;
+    }
+
+    /**
+     * Node for a category
+     * @param {number|string} id - Category ID
+     * @returns {object|null} Node
+     */
+    get(id) {
+        return id === null || id === undefined ? null : this.nodes.get(String(id)) || null;
+    }
+
+    /**
+     * Child nodes of a category, or the top-level nodes
+     * @param {number|string|null} id - Category ID (null for the top level)
+     * @returns {Array<object>} Nodes
+     */
+    getChildren(id) {
+        if (id === null || id === undefined) return this.roots;
+        return this.get(id)?.children || [];
+    }
+
+    /**
+     * Categories from the top level down to a category (for breadcrumbs)
+     * @param {number|string} id - Category ID
+     * @returns {Array<object>} Categories, empty when the category is unknown
+     */
+    getPath(id) {
+        const path = [];
+
+        for (let node = this.get(id); node; node = this.get(node.parentId)) {
+            path.unshift(node.category);
+        }
+
+        return path;
+    }
+
+    /**
+     * IDs of a category and everything below it
+     * @param {number|string} id - Category ID
+     * @param {boolean} includeSelf - Include the category itself
+     * @returns {Array<string>} IDs
+     */
+    getDescendantIds(id, includeSelf = true) {
+        const node = this.get(id);
+        if (!node) return [];
+
+        const ids = includeSelf ? [node.id] : [];
+        node.children.forEach(child => ids.push(...this.getDescendantIds(child.id)));
+        return ids;
+    }
+
+    /**
+     * Every node, depth first in display order
+     * @returns {Array<object>} Nodes (node.depth gives the level)
+     */
+    flatten() {
+        const nodes = [];
+        const visit = node => {
+            nodes.push(node);
+            node.children.forEach(visit);
+        };
+        this.roots.forEach(visit);
+        return nodes;
+    }
+
+    /**
+     * Whether a category can be placed under a parent (not under itself or its own descendants)
+     * @param {number|string} id - Category to move
+     * @param {number|string|null} parentId - New parent (null for the top level)
+     * @returns {boolean}
+     */
+    canMove(id, parentId) {
+        if (!this.get(id)) return false;
+        if (parentId === null || parentId === undefined) return true;
+        return Boolean(this.get(parentId)) && !this.getDescendantIds(id).includes(String(parentId));
+    }
+
+    /**
+     * Move a category under a parent, at a position among its new siblings
+     * Siblings are renumbered, so the result lists every category whose parent or
+     * sortOrder changed and needs saving.
+     * @param {number|string} id - Category to move
+     * @param {number|string|null} parentId - New parent (null for the top level)
+     * @param {number} index - Position among the new siblings, not counting the moved category
+     * @returns {Array<object>} Changed categories with their new parentId and sortOrder
+     */
+    move(id, parentId, index) {
+        if (!this.canMove(id, parentId)) {
+            throw new Error(`Category ${id} cannot be moved under ${parentId}`);
+        }
+
+        const node = this.get(id);
+        const newParentId = parentId === null || parentId === undefined ? null : String(parentId);
+        const oldSiblings = this.getChildren(node.parentId).filter(sibling => sibling !== node);
+        const newSiblings = newParentId === node.parentId ? oldSiblings : this.getChildren(newParentId).slice();
+
+        newSiblings.splice(Math.max(0, Math.min(index, newSiblings.length)), 0, node);
+
+        const changed = new Map();
+        const place = (siblings, siblingParentId) => {
+            siblings.forEach((sibling, position) => {
+                const currentParentId = CategoryTree.getParentId(sibling.category);
+                if (sibling.category.sortOrder !== position || currentParentId !== siblingParentId) {
+                    sibling.category = {
+                        ...sibling.category,
+                        parentId: siblingParentId === null ? null : this.get(siblingParentId).category.id,
+                        sortOrder: position,
+                    };
+                    changed.set(sibling.id, sibling.category);
+                }
+                sibling.parentId = siblingParentId;
+            });
+        };
+
+        if (newParentId !== node.parentId) {
+            place(oldSiblings, node.parentId);
+        }
+        place(newSiblings, newParentId);
+
+        this.link();
+        return [...changed.values()];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CategoryTree;
+}
@@ -0,0 +1,276 @@
+/**
+ * Gold Perfium - Checkout
+ * Validates and normalizes the customer's details, rate-limits submissions and
+ * sends the order with an idempotency key; the cart is cleared only once the
+ * server has confirmed the order or, when the server cannot be reached, once
+ * the order is safely queued in the order outbox (js/outbox.js)
+ */
+
+class CheckoutService {
+    /**
+     * Submission in progress in this tab (double clicks share it)
+     * @type {Promise<object>|null}
+     */
+    static inflight = null;
+
+    /**
+     * Validate and normalize the checkout form fields
+     * @param {object} fields - {customerName, customerPhone, governorate, city, street, landmark}
+     * @returns {object} {valid, errors: {field: message}, customer}
+     */
+    static validateCustomer(fields) {
+        const errors = {};
+        // Stored as typed (normalized only); every view escapes it when rendering
+        const clean = value => normalizeDigits(String(value || '')).normalize('NFC').replace(/\s+/g, ' ').trim();
+
+        const customerName = clean(fields.customerName);
+        if (customerName.length < 3) {
+            errors.customerName = 'أدخل الاسم بالكامل';
+        } else if (customerName.length > APP_CONFIG.checkout.nameMaxLength) {
+            errors.customerName = `الاسم يجب ألا يزيد عن ${APP_CONFIG.checkout.nameMaxLength} حرفاً`;
+        }
+
+        const customerPhone = sanitizePhone(fields.customerPhone || '');
+        if (!customerPhone) {
+            errors.customerPhone = 'رقم الموبايل غير صحيح، مثال: 01012345678 أو ‎+201012345678';
+        }
+
+        const address = {
+            governorate: fields.governorate,
+            city: clean(fields.city),
+            street: clean(fields.street),
+            landmark: clean(fields.landmark),
+        };
+        Object.assign(errors, ShippingCalculator.validateAddress(address).errors);
+        Object.entries({ city: 'المدينة', street: 'العنوان', landmark: 'العلامة المميزة' }).forEach(([field, label]) => {
+            if (!errors[field] && address[field].length > APP_CONFIG.checkout.addressFieldMaxLength) {
+                errors[field] = `${label} يجب ألا يزيد عن ${APP_CONFIG.checkout.addressFieldMaxLength} حرفاً`;
+            }
+        });
+
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors,
+            customer: {
+                customerName,
+                customerPhone,
+                ...ShippingCalculator.toOrderAddress(address),
+            },
+        };
+    }
+
+    /**
+     * Submit the order
+     * Steps: validate fields, rate-limit, revalidate the cart, send with an
+     * idempotency key, then record the order in OrderHistory (js/orders.js) and
+     * clear the cart on confirmation.
+     * In the store's WhatsApp mode nothing is sent: the result carries a wa.me link
+     * and the cart is left for the page to clear once the customer follows it.
+     * @param {CartManager} cartManager - Storefront cart
+     * @param {object} fields - Raw checkout form fields
+     * @param {object} options - Submission options
+     * @param {object|null} options.store - Store info (checkout mode and WhatsApp number, see js/whatsapp.js)
+     * 'submitted' means the server accepted the order but its reply could not be read,
+     * so there is no order number to show; the receipt is built from the cart instead.
+     * @returns {Promise<object>} {status: 'confirmed'|'submitted'|'whatsapp'|'queued'|'invalid'|'rateLimited'|'cartChanged'|'empty'|'failed',
+     *  order?, receipt?, whatsappUrl?, errors?, diff?, error?, message?}
+     */
+    static submit(cartManager, fields, options = {}) {
+        if (!CheckoutService.inflight) {
+            CheckoutService.inflight = CheckoutService.run(cartManager, fields, options).finally(() => {
+                CheckoutService.inflight = null;
+            });
+        }
+
+        return CheckoutService.inflight;
+    }
+
+    /**
+     * Run the submission pipeline (see submit)
+     * @param {CartManager} cartManager - Storefront cart
+     * @param {object} fields - Raw checkout form fields
+     * @param {object} options - Submission options (see submit)
+     * @returns {Promise<object>} Submission result
+     */
+    static async run(cartManager, fields, { store = null } = {}) {
+        if (cartManager.isEmpty()) {
+            return { status: 'empty', message: 'السلة فارغة. أضف منتجات أولاً.' };
+        }
+
+        const { valid, errors, customer } = CheckoutService.validateCustomer(fields);
+        if (!valid) {
+            return { status: 'invalid', errors, message: Object.values(errors).join('\n') };
+        }
+
+        if (!checkRateLimit('checkout', APP_CONFIG.checkout.maxAttempts, APP_CONFIG.checkout.attemptWindow)) {
+            return { status: 'rateLimited', message: 'محاولات كثيرة لإرسال الطلب. يرجى الانتظار قليلاً ثم المحاولة مرة أخرى.' };
+        }
+
+        let diff;
+        try {
+            diff = await cartManager.revalidate();
+        } catch (error) {
+            return { status: 'failed', error, message: 'تعذر التحقق من أسعار المنتجات وتوفرها. يرجى المحاولة مرة أخرى.' };
+        }
+
+        if (diff.hasChanges) {
+            return { status: 'cartChanged', diff };
+        }
+
+        const orderData = cartManager.toOrderData(customer, { governorate: customer.address.governorate });
+        const mode = WhatsAppCheckout.getMode(store);
+
+        if (mode === APP_CONFIG.whatsapp.modes.WHATSAPP) {
+            const receipt = OrderHistory.createEntry(null, orderData, cartManager.getItems());
+            return { status: 'whatsapp', orderData, receipt, whatsappUrl: WhatsAppCheckout.buildUrl(store, receipt) };
+        }
+
+        const idempotencyKey = CheckoutService.getIdempotencyKey(orderData);
+
+        try {
+            const order = await APIService.createOrder(orderData, { idempotencyKey });
+
+            if (!order) {
+                return CheckoutService.unconfirmed(cartManager, orderData);
+            }
+
+            const receipt = OrderHistory.add(order, orderData, cartManager.getItems());
+
+            CheckoutService.clearIdempotencyKey();
+            cartManager.clearCart();
+
+            return {
+                status: 'confirmed',
+                order,
+                orderData,
+                receipt,
+                whatsappUrl: mode === APP_CONFIG.whatsapp.modes.BOTH ? WhatsAppCheckout.buildUrl(store, receipt) : null,
+            };
+        } catch (error) {
+            if (error instanceof ApiError && error.isParseError) {
+                return CheckoutService.unconfirmed(cartManager, orderData, error);
+            }
+
+            // The cart and the idempotency key are kept, so retrying cannot create a second order
+            if (error instanceof ApiError && error.isValidationError) {
+                const serverErrors = Object.fromEntries(
+                    error.validationErrors.map(({ field, message }) => [field || 'form', message])
+                );
+                return { status: 'invalid', errors: serverErrors, error, message: error.getUserMessage() };
+            }
+
+            if (error instanceof ApiError && HttpClient.isRetryable(error)) {
+                return CheckoutService.queue(cartManager, orderData, idempotencyKey, error);
+            }
+
+            return { status: 'failed', error, message: error instanceof ApiError ? error.getUserMessage() : 'عذراً، حدث خطأ في إرسال الطلب. يرجى المحاولة مرة أخرى.' };
+        }
+    }
+
+    /**
+     * Result for an order the server accepted without a readable reply
+     * The order exists, so the cart is cleared, but its number is unknown and
+     * nothing is added to the order history.
+     * @param {CartManager} cartManager - Storefront cart
+     * @param {object} orderData - Order payload
+     * @param {ApiError|null} error - Parse error, if the reply was unreadable rather than empty
+     * @returns {object} 'submitted' result
+     */
+    static unconfirmed(cartManager, orderData, error = null) {
+        const receipt = OrderHistory.createEntry(null, orderData, cartManager.getItems());
+
+        CheckoutService.clearIdempotencyKey();
+        cartManager.clearCart();
+
+        return {
+            status: 'submitted',
+            orderData,
+            receipt,
+            error,
+            message: 'تم إرسال طلبك لكن تعذر استلام تأكيد من الخادم. لا تعد إرسال الطلب، سنتواصل معك لتأكيده.',
+        };
+    }
+
+    /**
+     * Hand an order that could not reach the server to the outbox
+     * @param {CartManager} cartManager - Storefront cart
+     * @param {object} orderData - Order payload
+     * @param {string} idempotencyKey - Key the order was sent with
+     * @param {ApiError} error - Network, timeout or server error
+     * @returns {Promise<object>} 'queued' result, or 'failed' if the outbox is unavailable
+     */
+    static async queue(cartManager, orderData, idempotencyKey, error) {
+        try {
+            const entry = await OrderOutbox.enqueue(orderData, idempotencyKey, error);
+
+            CheckoutService.clearIdempotencyKey();
+            cartManager.clearCart();
+
+            return {
+                status: 'queued',
+                entry,
+                orderData,
+                error,
+                message: 'تعذر الاتصال بالخادم. تم حفظ طلبك وسيتم إرساله تلقائياً عند عودة الاتصال.',
+            };
+        } catch (queueError) {
+            console.error('Could not queue order:', queueError);
+            return { status: 'failed', error, message: error.getUserMessage() };
+        }
+    }
+
+    /**
+     * Idempotency key for an order
+     * The same order (same lines, totals, customer and address) keeps its key
+     * until it is confirmed; any change starts a new checkout attempt.
+     * @param {object} orderData - Order payload
+     * @returns {string} Idempotency key
+     */
+    static getIdempotencyKey(orderData) {
+        const fingerprint = CheckoutService.fingerprint(orderData);
+        const stored = secureGetItem(APP_CONFIG.checkout.idempotencyKey, true, sessionStorage);
+
+        if (stored?.fingerprint === fingerprint && stored.key) {
+            return stored.key;
+        }
+
+        const key = typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : generateUniqueId();
+        secureSetItem(APP_CONFIG.checkout.idempotencyKey, { key, fingerprint }, sessionStorage);
+        return key;
+    }
+
+    /**
+     * Forget the current checkout attempt
+     */
+    static clearIdempotencyKey() {
+        secureRemoveItem(APP_CONFIG.checkout.idempotencyKey, sessionStorage);
+    }
+
+    /**
+     * Short hash identifying an order's content
+     * @param {object} orderData - Order payload
+     * @returns {string} Hash
+     */
+    static fingerprint(orderData) {
+        const text = JSON.stringify([
+            orderData.customerName,
+            orderData.customerPhone,
+            orderData.shippingAddress,
+            orderData.promoCode,
+            orderData.totalAmount,
+            orderData.items.map(item => [item.product.id, item.quantity, item.unitPrice]),
+        ]);
+
+        // djb2
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CheckoutService;
+}
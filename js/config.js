@@ -13,11 +13,13 @@ const API_ENDPOINTS = {
     
     // Products
     products: `${API_BASE_URL}/products/active`,
+    productDetails: `${API_BASE_URL}/products`,
     productsByCategory: `${API_BASE_URL}/products/category`,
     productSearch: `${API_BASE_URL}/products/search`,
     
     // Orders
     orders: `${API_BASE_URL}/orders`,
+    orderTracking: `${API_BASE_URL}/orders/track`,
     
     // Admin Info (Public)
     adminInfo: `${API_BASE_URL}/admin/info`,
@@ -44,13 +46,188 @@ const APP_CONFIG = {
     // Pagination
     defaultPageSize: 20,
     maxPageSize: 100,
-    
+
+    // HTTP Client
+    http: {
+        timeout: 15000, // 15s
+        retries: 2, // GET/HEAD only
+        retryDelay: 500, // Base backoff delay in ms
+        maxRetryDelay: 10000, // Longest wait before a retry, including server Retry-After
+        retryStatuses: [408, 429, 500, 502, 503, 504],
+    },
+
+    // Response Cache (public catalog data)
+    cache: {
+        enabled: true,
+        dbName: 'gold-perfium-cache',
+        storeName: 'responses',
+        invalidationKey: 'cacheInvalidation',
+        // How long each resource stays fresh before it is revalidated in the background
+        ttl: {
+            categories: 10 * 60 * 1000, // 10 minutes
+            products: 5 * 60 * 1000, // 5 minutes
+            search: 60 * 1000, // 1 minute
+            adminInfo: 30 * 60 * 1000, // 30 minutes
+        },
+        // Older entries are never served, even while revalidating
+        maxStale: 24 * 60 * 60 * 1000, // 24 hours
+    },
+
+    // Checkout (js/checkout.js)
+    checkout: {
+        idempotencyKey: 'checkoutIdempotencyKey',
+        // Order submissions allowed per window, per browser session
+        maxAttempts: 5,
+        attemptWindow: 10 * 60 * 1000, // 10 minutes
+        nameMaxLength: 100,
+        addressFieldMaxLength: 200, // city, street and landmark each
+    },
+
+    // WhatsApp checkout (js/whatsapp.js)
+    // The store chooses the mode in store-info.html (adminInfo.checkoutMode):
+    // 'api' submits through createOrder, 'whatsapp' hands the order off to WhatsApp
+    // instead, 'both' submits it and then offers to send a copy over WhatsApp
+    whatsapp: {
+        modes: { API: 'api', WHATSAPP: 'whatsapp', BOTH: 'both' },
+        defaultMode: 'api',
+        countryCode: '20', // Egypt, for local numbers such as 010...
+    },
+
+    // Offline order queue (js/outbox.js, sw.js)
+    outbox: {
+        dbName: 'gold-perfium-outbox',
+        storeName: 'orders',
+        syncTag: 'order-outbox',
+    },
+
+    // Customer orders: "my orders" history and order tracking (js/orders.js)
+    orders: {
+        historyKey: 'myOrders',
+        historyLimit: 20,
+        // Tracking lookups allowed per window, per browser session
+        maxTrackAttempts: 10,
+        trackAttemptWindow: 10 * 60 * 1000, // 10 minutes
+    },
+
+    // Admin order list filters (js/order-query.js)
+    orderQuery: {
+        sortFields: ['createdAt', 'totalAmount', 'customerName'],
+        defaultSort: 'createdAt',
+        defaultDirection: 'desc',
+        weekStartsOn: 6, // Saturday
+    },
+
+    // Invoices and packing slips (js/invoice.js)
+    invoice: {
+        // html2pdf.js bundle, loaded the first time a PDF is downloaded; update the
+        // integrity hash together with the version or the browser will refuse the script
+        pdfLibraryUrl: 'https://cdnjs.cloudflare.com/ajax/libs/html2pdf.js/0.10.1/html2pdf.bundle.min.js',
+        pdfLibraryIntegrity: 'sha512-GsLlZN/3F2ErC5ifS5QtgpiJtWd43JWSuIgh7mbzZ8zBps+dvLusV+eNQATqgA/HdeKFVgA5v3S/cIrLF7QnIg==',
+        paperSize: 'a4',
+        // Browsers that never fire afterprint (several mobile ones) get the print frame
+        // removed after this long, so a print does not wait forever
+        printTimeout: 60000,
+    },
+
+    // Orders export for accounting (js/order-export.js)
+    export: {
+        // SheetJS build, loaded the first time an Excel file is downloaded; update the
+        // integrity hash together with the version or the browser will refuse the script
+        xlsxLibraryUrl: 'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js',
+        xlsxLibraryIntegrity: 'sha384-EnyY0/GSHQGSxSgMwaIPzSESbqoOLSexfnSMN2AP+39Ckmn92stwABZynq1JyzdT',
+    },
+
+    // Admin sales dashboard (js/analytics.js)
+    analytics: {
+        ranges: ['last7', 'last30', 'last90', 'thisMonth', 'thisYear'],
+        defaultRange: 'last30',
+        // Top products/categories listed on the dashboard
+        topLimit: 5,
+        // Above this many days the revenue chart groups by week, above maxWeeklyDays by month
+        maxDailyDays: 45,
+        maxWeeklyDays: 180,
+    },
+
+    // Product Page
+    relatedProductsLimit: 4,
+
     // Cart
     cartStorageKey: 'cart',
+    // Bump when the stored cart format changes and add a step to CartManager.migrate
+    cartVersion: 2,
+    // Lines untouched for longer than this are dropped when the cart is loaded
+    cartMaxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+    // Quantity rules enforced by CartManager.addItem/updateQuantity (null disables a rule)
+    // Products may also limit themselves through `quantity` (stock) and `maxPerOrder`
+    cartLimits: {
+        maxQuantityPerProduct: 10,
+        maxLines: 20,
+        maxOrderTotal: 50000,
+    },
+
+    // Pricing (js/pricing.js)
+    pricing: {
+        // Promo codes. Each entry:
+        // {code, type: 'percentage'|'fixed'|'freeShipping', value, minOrder, maxDiscount,
+        //  categoryIds, freeShipping, startsAt, expiresAt}
+        // e.g. {code: 'WELCOME10', type: 'percentage', value: 10, minOrder: 500, expiresAt: '2026-12-31T23:59:59'}
+        promoCodes: [],
+        // Bundle deals: percentage off the matching lines once their combined quantity reaches minQuantity
+        // e.g. {id: 'perfume-duo', label: 'اشترِ عطرين واحصل على خصم 10%', minQuantity: 2, percentage: 10, categoryIds: null}
+        bundles: [],
+    },
+
+    // Shipping (js/shipping.js)
+    shipping: {
+        // Orders at or above this amount (after discounts) ship free; null disables it.
+        // A governorate's own freeShippingThreshold takes precedence.
+        freeShippingThreshold: 1500,
+        // Fee in EGP and estimated delivery days [min, max] per governorate (ISO 3166-2:EG codes)
+        governorates: [
+            { code: 'C', name: 'القاهرة', fee: 50, days: [1, 2] },
+            { code: 'GZ', name: 'الجيزة', fee: 50, days: [1, 2] },
+            { code: 'KB', name: 'القليوبية', fee: 55, days: [1, 3] },
+            { code: 'ALX', name: 'الإسكندرية', fee: 60, days: [2, 3] },
+            { code: 'BH', name: 'البحيرة', fee: 65, days: [2, 4] },
+            { code: 'DK', name: 'الدقهلية', fee: 60, days: [2, 3] },
+            { code: 'SHR', name: 'الشرقية', fee: 60, days: [2, 3] },
+            { code: 'GH', name: 'الغربية', fee: 60, days: [2, 3] },
+            { code: 'MNF', name: 'المنوفية', fee: 60, days: [2, 3] },
+            { code: 'KFS', name: 'كفر الشيخ', fee: 65, days: [2, 4] },
+            { code: 'DT', name: 'دمياط', fee: 65, days: [2, 4] },
+            { code: 'PTS', name: 'بورسعيد', fee: 65, days: [2, 3] },
+            { code: 'IS', name: 'الإسماعيلية', fee: 65, days: [2, 3] },
+            { code: 'SUZ', name: 'السويس', fee: 65, days: [2, 3] },
+            { code: 'FYM', name: 'الفيوم', fee: 70, days: [2, 4] },
+            { code: 'BNS', name: 'بني سويف', fee: 70, days: [2, 4] },
+            { code: 'MN', name: 'المنيا', fee: 75, days: [3, 5] },
+            { code: 'AST', name: 'أسيوط', fee: 75, days: [3, 5] },
+            { code: 'SHG', name: 'سوهاج', fee: 80, days: [3, 5] },
+            { code: 'KN', name: 'قنا', fee: 80, days: [3, 5] },
+            { code: 'LX', name: 'الأقصر', fee: 85, days: [3, 6] },
+            { code: 'ASN', name: 'أسوان', fee: 85, days: [3, 6] },
+            { code: 'BA', name: 'البحر الأحمر', fee: 90, days: [4, 7] },
+            { code: 'MT', name: 'مطروح', fee: 90, days: [4, 7] },
+            { code: 'WAD', name: 'الوادي الجديد', fee: 100, days: [5, 8] },
+            { code: 'SIN', name: 'شمال سيناء', fee: 100, days: [5, 8] },
+            { code: 'JS', name: 'جنوب سيناء', fee: 100, days: [4, 7] },
+        ],
+    },
     
     // Auth
     authTokenKey: 'authToken',
     usernameKey: 'username',
+    returnUrlKey: 'returnUrl',
+    authLogoutKey: 'authLogout',
+    rememberMeKey: 'rememberMe',
+    auth: {
+        // Token endpoint returning {token, expiresIn}; leave null to sign in with Basic auth
+        tokenEndpoint: null,
+        // Protected endpoint used to verify Basic credentials
+        verifyEndpoint: ADMIN_ENDPOINTS.categories,
+        sessionTtl: 8 * 60 * 60 * 1000, // 8 hours
+        rememberTtl: 30 * 24 * 60 * 60 * 1000, // 30 days
+    },
     
     // Theme
     darkModeKey: 'darkMode',
@@ -63,10 +240,70 @@ const APP_CONFIG = {
         DELIVERED: 'DELIVERED',
         CANCELLED: 'CANCELLED',
     },
+    // Spellings the server stores where they differ from orderStatus. Requests
+    // send these; orders read from the server are mapped back (normalizeOrderStatus).
+    orderStatusServerValues: {
+        CANCELLED: 'CANCELED',
+    },
+    // Order workflow (js/order-workflow.js): the statuses each status may move to.
+    // Statuses with no transitions are terminal; moving into one asks for confirmation.
+    orderTransitions: {
+        NEW: ['PROCESSING', 'CANCELLED'],
+        PROCESSING: ['SHIPPED', 'CANCELLED'],
+        SHIPPED: ['DELIVERED', 'CANCELLED'],
+        DELIVERED: [],
+        CANCELLED: [],
+    },
+    orderStatusLabels: {
+        NEW: 'جديد',
+        PROCESSING: 'قيد المعالجة',
+        SHIPPED: 'تم الشحن',
+        DELIVERED: 'تم التوصيل',
+        CANCELLED: 'ملغي',
+    },
     
     // Image Upload
     maxImageSize: 5 * 1024 * 1024, // 5MB
     acceptedImageTypes: ['image/jpeg', 'image/png', 'image/webp'],
+
+    // Media uploads (js/media.js): form field and pixel limits for each kind of image.
+    // Type and size limits come from acceptedImageTypes and maxImageSize.
+    // Before upload, images are shrunk to fit within `resize` (js/image-processor.js);
+    // `aspectRatio` is the optional crop offered for that kind.
+    media: {
+        uploadTimeout: 2 * 60 * 1000, // 2 minutes
+        kinds: {
+            category: {
+                field: 'image',
+                minWidth: 200, minHeight: 200, maxWidth: 4000, maxHeight: 4000,
+                resize: { width: 800, height: 800 },
+            },
+            product: {
+                field: 'images',
+                minWidth: 300, minHeight: 300, maxWidth: 5000, maxHeight: 5000,
+                resize: { width: 1600, height: 1600 },
+                aspectRatio: 7 / 5, // Product cards show images at 280×200
+            },
+            logo: {
+                field: 'logoImage',
+                minWidth: 60, minHeight: 60, maxWidth: 2000, maxHeight: 2000,
+                resize: { width: 512, height: 512 },
+            },
+            hero: {
+                field: 'mainDivImage',
+                minWidth: 1000, minHeight: 300, maxWidth: 6000, maxHeight: 4000,
+                resize: { width: 2400, height: 1200 },
+            },
+        },
+        // Encoding of processed images; browsers that cannot write WebP fall back to JPEG
+        output: {
+            type: 'image/webp',
+            fallbackType: 'image/jpeg',
+            quality: 0.82,
+        },
+        // Larger originals are not decoded in the browser
+        maxSourceSize: 30 * 1024 * 1024, // 30MB
+    },
 };
 
 // Export for use in other modules
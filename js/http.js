@@ -0,0 +1,479 @@
+/**
+ * Gold Perfium - HTTP Client
+ * Shared request pipeline with timeouts, retries and typed API errors
+ */
+
+/**
+ * Error thrown for every failed API request
+ * Carries the HTTP status, endpoint and parsed server error payload
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - Technical error message
+     * @param {object} details - Error details
+     * @param {string} details.type - 'http' | 'network' | 'timeout' | 'aborted' | 'invalid' (rejected before sending)
+     * | 'parse' (successful response with an unreadable body)
+     * @param {number} details.status - HTTP status code (0 when no response)
+     * @param {string} details.endpoint - Requested URL
+     * @param {string} details.method - HTTP method
+     * @param {any} details.payload - Parsed server error body
+     * @param {number} details.retryAfter - Seconds from the Retry-After header
+     * @param {Error} details.cause - Underlying error
+     */
+    constructor(message, { type = 'http', status = 0, endpoint = '', method = 'GET', payload = null, retryAfter = null, cause = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.status = status;
+        this.endpoint = endpoint;
+        this.method = method;
+        this.payload = payload;
+        this.retryAfter = retryAfter;
+        this.cause = cause;
+    }
+
+    /**
+     * True when the server could not be reached
+     * @returns {boolean}
+     */
+    get isNetworkError() {
+        return this.type === 'network';
+    }
+
+    /**
+     * True when the request exceeded its timeout
+     * @returns {boolean}
+     */
+    get isTimeout() {
+        return this.type === 'timeout';
+    }
+
+    /**
+     * True when the request was cancelled by the caller
+     * @returns {boolean}
+     */
+    get isAborted() {
+        return this.type === 'aborted';
+    }
+
+    /**
+     * True when the server answered successfully but its body could not be read
+     * The request itself went through, so it must not be sent again.
+     * @returns {boolean}
+     */
+    get isParseError() {
+        return this.type === 'parse';
+    }
+
+    /**
+     * True when the submitted data was rejected, by the server or before sending
+     * @returns {boolean}
+     */
+    get isValidationError() {
+        return this.type === 'invalid' || this.status === 400 || this.status === 422;
+    }
+
+    /**
+     * True when the requested resource does not exist
+     * @returns {boolean}
+     */
+    get isNotFound() {
+        return this.status === 404;
+    }
+
+    /**
+     * True when the request lacked valid credentials or permissions
+     * @returns {boolean}
+     */
+    get isAuthError() {
+        return this.status === 401 || this.status === 403;
+    }
+
+    /**
+     * True for 5xx responses
+     * @returns {boolean}
+     */
+    get isServerError() {
+        return this.status >= 500;
+    }
+
+    /**
+     * Field validation messages reported by the server
+     * Supports Spring's `errors` array, a `fieldErrors` array and a plain field map
+     * @returns {Array<{field: string|null, message: string}>} Validation messages
+     */
+    get validationErrors() {
+        const payload = this.payload;
+        if (!payload || typeof payload !== 'object') return [];
+
+        const list = payload.errors || payload.fieldErrors;
+
+        if (Array.isArray(list)) {
+            return list.map(item => {
+                if (typeof item === 'string') return { field: null, message: item };
+                return {
+                    field: item.field || item.property || null,
+                    message: item.defaultMessage || item.message || String(item),
+                };
+            });
+        }
+
+        if (list && typeof list === 'object') {
+            return Object.entries(list).map(([field, message]) => ({ field, message: String(message) }));
+        }
+
+        return [];
+    }
+
+    /**
+     * Arabic message suitable for showing to the user
+     * @returns {string} User-facing message
+     */
+    getUserMessage() {
+        if (this.isNetworkError) return 'تعذر الاتصال بالخادم. يرجى التحقق من اتصالك بالإنترنت.';
+        if (this.isTimeout) return 'انتهت مهلة الاتصال بالخادم. يرجى المحاولة مرة أخرى.';
+        if (this.isAborted) return 'تم إلغاء الطلب.';
+        if (this.isParseError) return 'وصل رد غير مفهوم من الخادم. يرجى تحديث الصفحة للتأكد من حفظ التغييرات.';
+
+        if (this.isValidationError) {
+            const messages = this.validationErrors.map(error => error.message);
+            return messages.length > 0
+                ? `البيانات المدخلة غير صحيحة: ${messages.join('، ')}`
+                : 'البيانات المدخلة غير صحيحة. يرجى مراجعتها والمحاولة مرة أخرى.';
+        }
+
+        switch (this.status) {
+            case 401:
+                return 'انتهت الجلسة. يرجى تسجيل الدخول مرة أخرى.';
+            case 403:
+                return 'ليس لديك صلاحية لتنفيذ هذا الإجراء.';
+            case 404:
+                return 'العنصر المطلوب غير موجود أو تم حذفه.';
+            case 409:
+                return 'تعارض في البيانات. يرجى تحديث الصفحة والمحاولة مرة أخرى.';
+            case 429:
+                return 'طلبات كثيرة جداً. يرجى الانتظار قليلاً ثم المحاولة مرة أخرى.';
+            default:
+                return this.isServerError
+                    ? 'حدث خطأ في الخادم. يرجى المحاولة لاحقاً.'
+                    : 'حدث خطأ غير متوقع. يرجى المحاولة مرة أخرى.';
+        }
+    }
+}
+
+class HttpClient {
+    /**
+     * Send a request through the shared pipeline
+     * Plain object bodies are sent as JSON; FormData is passed through untouched.
+     * Idempotent requests (GET/HEAD) are retried with exponential backoff on
+     * network errors, timeouts and retryable status codes. Authenticated
+     * requests that fail with 401/403 are replayed after re-login (see SessionManager).
+     * @param {string} url - Request URL
+     * @param {object} options - Request options
+     * @param {string} options.method - HTTP method
+     * @param {object} options.headers - Extra headers
+     * @param {object|FormData|string} options.body - Request body
+     * @param {object} options.params - Query parameters (null/undefined values are skipped)
+     * @param {boolean} options.auth - Send through authenticatedFetch
+     * @param {number} options.timeout - Timeout in milliseconds
+     * @param {number} options.retries - Max retry attempts (defaults to 0 for non-idempotent
+     * methods; requests carrying an Idempotency-Key header count as idempotent)
+     * @param {AbortSignal} options.signal - External cancellation signal
+     * @returns {Promise<any>} Parsed response body (null for empty responses)
+     */
+    static async request(url, options = {}) {
+        const {
+            method = 'GET',
+            headers = {},
+            body,
+            params,
+            auth = false,
+            timeout = APP_CONFIG.http.timeout,
+            signal,
+        } = options;
+
+        const upperMethod = method.toUpperCase();
+        const idempotent = upperMethod === 'GET' || upperMethod === 'HEAD' || Boolean(headers['Idempotency-Key']);
+        const retries = options.retries ?? (idempotent ? APP_CONFIG.http.retries : 0);
+        const endpoint = HttpClient.buildUrl(url, params);
+        const init = HttpClient.buildInit(upperMethod, headers, body);
+
+        let attempt = 0;
+        let reauthenticated = false;
+
+        while (true) {
+            try {
+                return await HttpClient.send(endpoint, init, { auth, timeout, signal },
+                    response => HttpClient.readResponse(response, endpoint, upperMethod));
+            } catch (error) {
+                const apiError = HttpClient.toApiError(error, endpoint, upperMethod);
+
+                // Expired admin session: hold the request until the admin signs in again, then replay it
+                if (auth && !reauthenticated && apiError.isAuthError
+                    && await SessionManager.handleSessionExpired()) {
+                    reauthenticated = true;
+                    continue;
+                }
+
+                if (attempt < retries && HttpClient.isRetryable(apiError)) {
+                    await HttpClient.wait(HttpClient.retryDelay(attempt, apiError));
+                    attempt++;
+                    continue;
+                }
+
+                console.error(`API ${upperMethod} ${endpoint} failed:`, apiError);
+                throw apiError;
+            }
+        }
+    }
+
+    /**
+     * Append query parameters to a URL
+     * @param {string} url - Base URL
+     * @param {object} params - Query parameters
+     * @returns {string} URL with query string
+     */
+    static buildUrl(url, params) {
+        if (!params) return url;
+
+        const query = new URLSearchParams();
+
+        Object.entries(params).forEach(([key, value]) => {
+            if (value === undefined || value === null || value === '') return;
+
+            if (Array.isArray(value)) {
+                value.forEach(item => query.append(key, item));
+            } else {
+                query.append(key, value);
+            }
+        });
+
+        const queryString = query.toString();
+        if (!queryString) return url;
+
+        return `${url}${url.includes('?') ? '&' : '?'}${queryString}`;
+    }
+
+    /**
+     * Build fetch init options, serializing plain objects as JSON
+     * @param {string} method - HTTP method
+     * @param {object} headers - Extra headers
+     * @param {any} body - Request body
+     * @returns {object} Fetch init
+     */
+    static buildInit(method, headers, body) {
+        const init = { method, headers: { ...headers } };
+
+        if (body === undefined || body === null) return init;
+
+        const isRaw = (typeof FormData !== 'undefined' && body instanceof FormData)
+            || (typeof Blob !== 'undefined' && body instanceof Blob)
+            || typeof body === 'string';
+
+        if (isRaw) {
+            init.body = body;
+        } else {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+
+        return init;
+    }
+
+    /**
+     * Perform a single fetch attempt with timeout and cancellation
+     * The timeout keeps running while `read` consumes the body, so a stalled
+     * body download is aborted just like a stalled connection.
+     * @param {string} url - Request URL
+     * @param {object} init - Fetch init
+     * @param {object} options - Transport options
+     * @param {Function} read - Consumes the response and returns the result
+     * @returns {Promise<any>} Result of `read`
+     */
+    static async send(url, init, { auth, timeout, signal }, read) {
+        const controller = new AbortController();
+        let timedOut = false;
+
+        const timer = timeout > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout)
+            : null;
+
+        const onExternalAbort = () => controller.abort();
+
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', onExternalAbort);
+        }
+
+        try {
+            const transport = auth ? authenticatedFetch : fetch;
+            const response = await transport(url, { ...init, signal: controller.signal });
+            return await read(response);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new ApiError(timedOut ? 'Request timed out' : 'Request aborted', {
+                    type: timedOut ? 'timeout' : 'aborted',
+                    endpoint: url,
+                    method: init.method,
+                    cause: error,
+                });
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onExternalAbort);
+        }
+    }
+
+    /**
+     * Turn a response into its parsed body, or an ApiError for failed statuses
+     * Aborts while reading the body are rethrown untouched for send() to classify.
+     * @param {Response} response - Fetch response
+     * @param {string} endpoint - Requested URL
+     * @param {string} method - HTTP method
+     * @returns {Promise<any>} Parsed response body
+     */
+    static async readResponse(response, endpoint, method) {
+        if (!response.ok) {
+            const payload = await HttpClient.parseBody(response).catch(error => {
+                if (error.name === 'AbortError') throw error;
+                return null;
+            });
+            throw new ApiError(HttpClient.extractMessage(payload, response), {
+                status: response.status,
+                endpoint,
+                method,
+                payload,
+                retryAfter: Number(response.headers.get('Retry-After')) || null,
+            });
+        }
+
+        try {
+            return await HttpClient.parseBody(response);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+
+            // The server already handled the request: never retried
+            throw new ApiError(`Could not read response body: ${error.message}`, {
+                type: 'parse',
+                status: response.status,
+                endpoint,
+                method,
+                cause: error,
+            });
+        }
+    }
+
+    /**
+     * Parse a response body as JSON or text
+     * @param {Response} response - Fetch response
+     * @returns {Promise<any>} Parsed body or null when empty
+     */
+    static async parseBody(response) {
+        if (response.status === 204) return null;
+
+        const text = await response.text();
+        if (!text) return null;
+
+        const contentType = response.headers.get('Content-Type') || '';
+        if (contentType.includes('json')) {
+            return JSON.parse(text);
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return text;
+        }
+    }
+
+    /**
+     * Pick the most useful message from a server error payload
+     * @param {any} payload - Parsed error body
+     * @param {Response} response - Fetch response
+     * @returns {string} Error message
+     */
+    static extractMessage(payload, response) {
+        if (payload && typeof payload === 'object') {
+            const message = payload.message || payload.error_description || payload.error || payload.detail;
+            if (message) return String(message);
+        }
+
+        if (typeof payload === 'string' && payload.length > 0 && payload.length < 300) {
+            return payload;
+        }
+
+        return `Request failed with status ${response.status}`;
+    }
+
+    /**
+     * Normalize any thrown value into an ApiError
+     * @param {any} error - Thrown value
+     * @param {string} endpoint - Requested URL
+     * @param {string} method - HTTP method
+     * @returns {ApiError} Typed error
+     */
+    static toApiError(error, endpoint, method) {
+        if (error instanceof ApiError) return error;
+
+        return new ApiError(error?.message || 'Network request failed', {
+            type: 'network',
+            endpoint,
+            method,
+            cause: error,
+        });
+    }
+
+    /**
+     * Whether a failed attempt is worth retrying
+     * @param {ApiError} error - Failed attempt error
+     * @returns {boolean}
+     */
+    static isRetryable(error) {
+        if (error.isAborted || error.isParseError) return false;
+        if (error.isNetworkError || error.isTimeout) return true;
+
+        // Server asked for a longer pause than we are willing to hold the UI
+        if (error.retryAfter * 1000 > APP_CONFIG.http.maxRetryDelay) return false;
+
+        return APP_CONFIG.http.retryStatuses.includes(error.status);
+    }
+
+    /**
+     * Backoff delay for a retry attempt, honoring Retry-After when present
+     * Never longer than APP_CONFIG.http.maxRetryDelay.
+     * @param {number} attempt - Zero-based attempt number
+     * @param {ApiError} error - Failed attempt error
+     * @returns {number} Delay in milliseconds
+     */
+    static retryDelay(attempt, error) {
+        const { retryDelay, maxRetryDelay } = APP_CONFIG.http;
+
+        if (error.retryAfter > 0) {
+            return Math.min(error.retryAfter * 1000, maxRetryDelay);
+        }
+
+        const base = retryDelay * Math.pow(2, attempt);
+        return Math.min(base + Math.floor(Math.random() * retryDelay), maxRetryDelay);
+    }
+
+    /**
+     * Resolve after a delay
+     * @param {number} ms - Delay in milliseconds
+     * @returns {Promise<void>}
+     */
+    static wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ApiError,
+        HttpClient,
+    };
+}
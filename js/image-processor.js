@@ -0,0 +1,309 @@
+/**
+ * Gold Perfium - Image Processor
+ * Prepares photos in the browser before they are uploaded (js/media.js): turns
+ * them upright from their EXIF orientation, optionally crops them to the aspect
+ * ratio configured for their kind, shrinks them to fit APP_CONFIG.media.kinds[kind].resize
+ * and re-encodes them as WebP. Re-encoding through a canvas drops all metadata
+ * (camera details, GPS location).
+ */
+
+class ImageProcessor {
+    /**
+     * Canvas transforms turning each EXIF orientation upright
+     * (w, h) are the stored pixel dimensions; orientations 5-8 swap width and height.
+     */
+    static ORIENTATION_TRANSFORMS = {
+        2: (w, h) => [-1, 0, 0, 1, w, 0],
+        3: (w, h) => [-1, 0, 0, -1, w, h],
+        4: (w, h) => [1, 0, 0, -1, 0, h],
+        5: (w, h) => [0, 1, 1, 0, 0, 0],
+        6: (w, h) => [0, 1, -1, 0, h, 0],
+        7: (w, h) => [0, -1, -1, 0, h, w],
+        8: (w, h) => [0, -1, 1, 0, 0, w],
+    };
+
+    /**
+     * Process a selected file and check the result against the upload rules
+     * @param {File} file - Selected file
+     * @param {string} kind - MediaUpload.KINDS value
+     * @param {object} options - {crop: crop to the kind's aspect ratio}
+     * @returns {Promise<object>} {valid, error, file, width, height, originalSize, size}
+     */
+    static async prepare(file, kind, { crop = false } = {}) {
+        const check = validateFileUpload(file, APP_CONFIG.acceptedImageTypes, APP_CONFIG.media.maxSourceSize);
+        if (!check.valid) {
+            return { ...check, file: null };
+        }
+
+        let processed;
+        try {
+            processed = await ImageProcessor.process(file, kind, { crop });
+        } catch (error) {
+            console.error(`Could not process ${file.name}:`, error);
+            return { valid: false, error: 'تعذر معالجة الصورة، قد يكون الملف تالفاً', file: null };
+        }
+
+        const result = await MediaUpload.validate(processed.file, kind);
+        return { ...processed, valid: result.valid, error: result.error };
+    }
+
+    /**
+     * Orient, crop, resize and re-encode an image
+     * @param {File} file - JPEG, PNG or WebP image
+     * @param {string} kind - MediaUpload.KINDS value
+     * @param {object} options - {crop: crop to the kind's aspect ratio}
+     * @returns {Promise<object>} {file, width, height, originalSize, size}
+     */
+    static async process(file, kind, { crop = false } = {}) {
+        const rules = MediaUpload.getRules(kind);
+        const isJpeg = file.type === 'image/jpeg';
+        const buffer = isJpeg ? await file.arrayBuffer() : null;
+        const orientation = isJpeg ? ImageProcessor.readOrientation(buffer) : 1;
+
+        // Decoded without its EXIF block, the browser cannot rotate the image itself,
+        // so the orientation is applied exactly once (below)
+        const source = await ImageProcessor.decode(isJpeg ? ImageProcessor.removeExif(buffer) : file);
+
+        try {
+            const upright = ImageProcessor.orient(source, orientation);
+            const area = crop && rules.aspectRatio
+                ? ImageProcessor.getCropArea(upright.width, upright.height, rules.aspectRatio)
+                : { x: 0, y: 0, width: upright.width, height: upright.height };
+            const scale = ImageProcessor.getScale(area.width, area.height, rules.resize);
+            const width = Math.max(1, Math.round(area.width * scale));
+            const height = Math.max(1, Math.round(area.height * scale));
+
+            const canvas = ImageProcessor.createCanvas(width, height);
+            const context = canvas.getContext('2d');
+            context.imageSmoothingEnabled = true;
+            context.imageSmoothingQuality = 'high';
+            context.drawImage(upright, area.x, area.y, area.width, area.height, 0, 0, width, height);
+
+            const blob = await ImageProcessor.encode(canvas);
+
+            return {
+                file: new File([blob], ImageProcessor.getFileName(file.name, blob.type), { type: blob.type, lastModified: Date.now() }),
+                width,
+                height,
+                originalSize: file.size,
+                size: blob.size,
+            };
+        } finally {
+            if (typeof source.close === 'function') source.close();
+        }
+    }
+
+    /**
+     * EXIF orientation of a JPEG
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {number} 1-8 (1 when missing or unreadable)
+     */
+    static readOrientation(buffer) {
+        try {
+            const view = new DataView(buffer);
+            if (view.getUint16(0) !== 0xFFD8) return 1;
+
+            let offset = 2;
+            while (offset + 4 <= view.byteLength) {
+                const marker = view.getUint16(offset);
+                if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+
+                // APP1 segment starting with "Exif\0\0"
+                if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) {
+                    const tiff = offset + 10;
+                    const little = view.getUint16(tiff) === 0x4949;
+                    const directory = tiff + view.getUint32(tiff + 4, little);
+                    const entries = view.getUint16(directory, little);
+
+                    for (let i = 0; i < entries; i++) {
+                        const entry = directory + 2 + i * 12;
+                        if (view.getUint16(entry, little) === 0x0112) {
+                            const orientation = view.getUint16(entry + 8, little);
+                            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+                        }
+                    }
+                    return 1;
+                }
+
+                offset += 2 + view.getUint16(offset + 2);
+            }
+        } catch (error) {
+            // Truncated or malformed EXIF: treat the image as upright
+        }
+
+        return 1;
+    }
+
+    /**
+     * JPEG without its APP1 (EXIF/XMP) segments
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Blob} JPEG
+     */
+    static removeExif(buffer) {
+        const view = new DataView(buffer);
+        const parts = [buffer.slice(0, 2)];
+        let offset = 2;
+
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+
+            const end = offset + 2 + view.getUint16(offset + 2);
+            if (marker !== 0xFFE1) parts.push(buffer.slice(offset, end));
+            offset = end;
+        }
+
+        parts.push(buffer.slice(offset));
+        return new Blob(parts, { type: 'image/jpeg' });
+    }
+
+    /**
+     * Decode an image file
+     * @param {Blob} blob - Image data
+     * @returns {Promise<ImageBitmap|HTMLImageElement>}
+     */
+    static decode(blob) {
+        if (typeof createImageBitmap === 'function') {
+            return createImageBitmap(blob);
+        }
+
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const image = new Image();
+
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Image could not be decoded'));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Image turned upright
+     * @param {ImageBitmap|HTMLImageElement} source - Decoded image (stored orientation)
+     * @param {number} orientation - EXIF orientation
+     * @returns {ImageBitmap|HTMLImageElement|HTMLCanvasElement} The source itself when already upright
+     */
+    static orient(source, orientation) {
+        const transform = ImageProcessor.ORIENTATION_TRANSFORMS[orientation];
+        if (!transform) return source;
+
+        const width = source.width;
+        const height = source.height;
+        const canvas = orientation >= 5 ? ImageProcessor.createCanvas(height, width) : ImageProcessor.createCanvas(width, height);
+        const context = canvas.getContext('2d');
+
+        context.transform(...transform(width, height));
+        context.drawImage(source, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Largest centered area with an aspect ratio
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} aspectRatio - Width / height
+     * @returns {object} {x, y, width, height}
+     */
+    static getCropArea(width, height, aspectRatio) {
+        if (width / height > aspectRatio) {
+            const cropWidth = Math.round(height * aspectRatio);
+            return { x: Math.round((width - cropWidth) / 2), y: 0, width: cropWidth, height };
+        }
+
+        const cropHeight = Math.round(width / aspectRatio);
+        return { x: 0, y: Math.round((height - cropHeight) / 2), width, height: cropHeight };
+    }
+
+    /**
+     * Scale that fits an image within a box (images are never enlarged)
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {object} box - {width, height}, or null for no limit
+     * @returns {number} Scale factor, at most 1
+     */
+    static getScale(width, height, box) {
+        if (!box) return 1;
+        return Math.min(1, box.width / width, box.height / height);
+    }
+
+    /**
+     * Encode a canvas with APP_CONFIG.media.output
+     * Browsers that cannot write WebP return PNG from toBlob; those images are
+     * re-encoded as the fallback type, on white since JPEG has no transparency.
+     * @param {HTMLCanvasElement} canvas - Processed image
+     * @returns {Promise<Blob>}
+     */
+    static async encode(canvas) {
+        const { type, fallbackType, quality } = APP_CONFIG.media.output;
+        const blob = await ImageProcessor.toBlob(canvas, type, quality);
+        if (blob.type === type) return blob;
+
+        const flat = ImageProcessor.createCanvas(canvas.width, canvas.height);
+        const context = flat.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, flat.width, flat.height);
+        context.drawImage(canvas, 0, 0);
+        return ImageProcessor.toBlob(flat, fallbackType, quality);
+    }
+
+    /**
+     * canvas.toBlob as a promise
+     * @param {HTMLCanvasElement} canvas - Canvas
+     * @param {string} type - MIME type
+     * @param {number} quality - 0-1
+     * @returns {Promise<Blob>}
+     */
+    static toBlob(canvas, type, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(`Could not encode ${type}`))), type, quality);
+        });
+    }
+
+    /**
+     * Blank canvas
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {HTMLCanvasElement}
+     */
+    static createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * File name with the extension of the new type
+     * @param {string} name - Original file name
+     * @param {string} type - MIME type
+     * @returns {string} e.g. "IMG_2041.webp"
+     */
+    static getFileName(name, type) {
+        const extension = { 'image/webp': 'webp', 'image/jpeg': 'jpg', 'image/png': 'png' }[type] || 'img';
+        const base = String(name || 'image').replace(/\.[^.]+$/, '') || 'image';
+        return `${base}.${extension}`;
+    }
+
+    /**
+     * File size for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string} e.g. "4.8 ميجابايت" or "320 كيلوبايت"
+     */
+    static formatSize(bytes) {
+        if (bytes >= 1024 * 1024) {
+            return `${(bytes / (1024 * 1024)).toFixed(1)} ميجابايت`;
+        }
+        return `${Math.max(1, Math.round(bytes / 1024))} كيلوبايت`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageProcessor;
+}
@@ -0,0 +1,316 @@
+/**
+ * Gold Perfium - Invoices & Packing Slips
+ * Renders orders into a print-ready RTL Arabic document (one order per page)
+ * that can be printed in batches or downloaded as a PDF generated in the browser
+ */
+
+class InvoiceGenerator {
+    /**
+     * Document types
+     * The invoice carries prices and totals; the packing slip lists what goes in the parcel.
+     */
+    static TYPES = {
+        INVOICE: 'invoice',
+        PACKING_SLIP: 'packingSlip',
+    };
+
+    /**
+     * PDF library, loaded on first use
+     * @type {Promise<Function>|null}
+     */
+    static pdfLibrary = null;
+
+    /**
+     * Print orders (one per page) through a hidden frame
+     * @param {Array} orders - Orders as returned by the admin API
+     * @param {object|null} store - Store info from APIService.getAdminInfo (logo and contact)
+     * @param {object} options - {type: InvoiceGenerator.TYPES value}
+     * @returns {Promise<void>} Resolves once the print dialog has closed, or after
+     * APP_CONFIG.invoice.printTimeout when the browser does not report it
+     */
+    static print(orders, store, options = {}) {
+        return new Promise(resolve => {
+            const frame = document.createElement('iframe');
+            frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0;';
+            frame.setAttribute('aria-hidden', 'true');
+
+            frame.onload = async () => {
+                const frameWindow = frame.contentWindow;
+                await InvoiceGenerator.whenImagesLoaded(frame.contentDocument);
+
+                let timer = null;
+                const cleanup = () => {
+                    clearTimeout(timer);
+                    frame.remove();
+                    resolve();
+                };
+                frameWindow.addEventListener('afterprint', () => setTimeout(cleanup, 0), { once: true });
+                timer = setTimeout(cleanup, APP_CONFIG.invoice.printTimeout);
+
+                frameWindow.focus();
+                frameWindow.print();
+            };
+
+            frame.srcdoc = InvoiceGenerator.renderDocument(orders, store, options);
+            document.body.appendChild(frame);
+        });
+    }
+
+    /**
+     * Download orders as a PDF file
+     * Falls back to the print dialog (where "Save as PDF" is available) when the
+     * PDF library cannot be loaded.
+     * @param {Array} orders - Orders
+     * @param {object|null} store - Store info
+     * @param {object} options - {type: InvoiceGenerator.TYPES value}
+     * @returns {Promise<void>}
+     */
+    static async downloadPdf(orders, store, options = {}) {
+        let html2pdf;
+        try {
+            html2pdf = await InvoiceGenerator.loadPdfLibrary();
+        } catch (error) {
+            console.error('PDF library could not be loaded, printing instead:', error);
+            return InvoiceGenerator.print(orders, store, options);
+        }
+
+        const container = document.createElement('div');
+        container.dir = 'rtl';
+        container.innerHTML = `<style>${InvoiceGenerator.getStyles()}</style>${InvoiceGenerator.renderPages(orders, store, options)}`;
+
+        await html2pdf()
+            .set({
+                margin: 0,
+                filename: InvoiceGenerator.getFileName(orders, options.type),
+                image: { type: 'jpeg', quality: 0.95 },
+                html2canvas: { scale: 2, useCORS: true },
+                jsPDF: { unit: 'mm', format: APP_CONFIG.invoice.paperSize, orientation: 'portrait' },
+                pagebreak: { mode: 'css', before: '.invoice-break' },
+            })
+            .from(container)
+            .save();
+    }
+
+    /**
+     * Load html2pdf.js once, checked against its pinned integrity hash
+     * @returns {Promise<Function>} html2pdf
+     */
+    static loadPdfLibrary() {
+        if (!InvoiceGenerator.pdfLibrary) {
+            InvoiceGenerator.pdfLibrary = new Promise((resolve, reject) => {
+                if (typeof window.html2pdf === 'function') {
+                    resolve(window.html2pdf);
+                    return;
+                }
+
+                const script = document.createElement('script');
+                script.src = APP_CONFIG.invoice.pdfLibraryUrl;
+                script.integrity = APP_CONFIG.invoice.pdfLibraryIntegrity;
+                script.crossOrigin = 'anonymous';
+                script.onload = () => resolve(window.html2pdf);
+                script.onerror = () => reject(new Error('Failed to load ' + APP_CONFIG.invoice.pdfLibraryUrl));
+                document.head.appendChild(script);
+            }).catch(error => {
+                // Allow a retry on the next download
+                InvoiceGenerator.pdfLibrary = null;
+                throw error;
+            });
+        }
+
+        return InvoiceGenerator.pdfLibrary;
+    }
+
+    /**
+     * Full HTML document for printing
+     * @param {Array} orders - Orders
+     * @param {object|null} store - Store info
+     * @param {object} options - {type}
+     * @returns {string} HTML
+     */
+    static renderDocument(orders, store, options = {}) {
+        const title = InvoiceGenerator.getFileName(orders, options.type).replace(/\.pdf$/, '');
+
+        return `<!DOCTYPE html>
+<html lang="ar" dir="rtl">
+<head>
+    <meta charset="UTF-8">
+    <title>${InvoiceGenerator.escape(title)}</title>
+    <style>${InvoiceGenerator.getStyles()}</style>
+</head>
+<body>${InvoiceGenerator.renderPages(orders, store, options)}</body>
+</html>`;
+    }
+
+    /**
+     * One page per order
+     * @param {Array} orders - Orders
+     * @param {object|null} store - Store info
+     * @param {object} options - {type}
+     * @returns {string} HTML
+     */
+    static renderPages(orders, store, { type = InvoiceGenerator.TYPES.INVOICE } = {}) {
+        return orders
+            .map((order, index) => InvoiceGenerator.renderOrder(order, store, type, index > 0))
+            .join('');
+    }
+
+    /**
+     * Render one order
+     * @param {object} order - Order
+     * @param {object|null} store - Store info
+     * @param {string} type - Document type
+     * @param {boolean} pageBreak - Start on a new page
+     * @returns {string} HTML
+     */
+    static renderOrder(order, store, type, pageBreak = false) {
+        const escape = InvoiceGenerator.escape;
+        const isInvoice = type !== InvoiceGenerator.TYPES.PACKING_SLIP;
+        const price = amount => `${formatPrice(Number(amount) || 0)} جنيه`;
+        const items = order.items || [];
+        const email = store?.orderEmails ? store.orderEmails.split(',')[0].trim() : '';
+
+        const rows = items.map((item, index) => `
+            <tr>
+                <td>${(index + 1).toLocaleString('ar-EG')}</td>
+                <td class="invoice-product">${escape(item.product?.name || '')}</td>
+                <td>${formatPrice(item.quantity)}</td>
+                ${isInvoice
+                    ? `<td>${price(item.unitPrice)}</td><td>${price(item.subtotal)}</td>`
+                    : '<td class="invoice-check">☐</td>'}
+            </tr>
+        `).join('');
+
+        const subtotal = order.subtotalAmount ?? items.reduce((sum, item) => sum + (Number(item.subtotal) || 0), 0);
+        const totals = isInvoice ? `
+            <table class="invoice-totals">
+                <tr><td>المجموع الفرعي</td><td>${price(subtotal)}</td></tr>
+                ${order.discountAmount > 0 ? `<tr><td>الخصم${order.promoCode ? ` (${escape(order.promoCode)})` : ''}</td><td>- ${price(order.discountAmount)}</td></tr>` : ''}
+                ${order.shippingFee !== undefined && order.shippingFee !== null ? `<tr><td>الشحن</td><td>${order.shippingFee > 0 ? price(order.shippingFee) : 'مجاني'}</td></tr>` : ''}
+                <tr class="invoice-grand-total"><td>الإجمالي</td><td>${price(order.totalAmount)}</td></tr>
+            </table>
+        ` : `
+            <p class="invoice-count">عدد القطع: ${formatPrice(items.reduce((sum, item) => sum + (Number(item.quantity) || 0), 0))}</p>
+        `;
+
+        return `
+            <section class="invoice-page${pageBreak ? ' invoice-break' : ''}">
+                <header class="invoice-header">
+                    <div class="invoice-store">
+                        ${store?.logoImage ? `<img class="invoice-logo" src="${escape(buildImageUrl(store.logoImage))}" alt="" crossorigin="anonymous">` : ''}
+                        <div>
+                            <h1>عطور جولد</h1>
+                            ${store?.phone ? `<p>📱 ${escape(store.phone)}</p>` : ''}
+                            ${email ? `<p>📧 ${escape(email)}</p>` : ''}
+                        </div>
+                    </div>
+                    <div class="invoice-meta">
+                        <h2>${isInvoice ? 'فاتورة' : 'بوليصة تعبئة'}</h2>
+                        <p>رقم الطلب: <strong>#${escape(order.id)}</strong></p>
+                        ${order.createdAt ? `<p>التاريخ: ${escape(formatDate(order.createdAt))}</p>` : ''}
+                    </div>
+                </header>
+
+                <div class="invoice-customer">
+                    <h3>${isInvoice ? 'بيانات العميل' : 'الشحن إلى'}</h3>
+                    <p><strong>${escape(order.customerName)}</strong></p>
+                    <p>📞 ${escape(order.customerPhone || 'غير متوفر')}</p>
+                    <p>📍 ${escape(order.shippingAddress || 'غير متوفر')}</p>
+                </div>
+
+                <table class="invoice-items">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>المنتج</th>
+                            <th>الكمية</th>
+                            ${isInvoice ? '<th>سعر الوحدة</th><th>الإجمالي</th>' : '<th>تم</th>'}
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+
+                ${totals}
+
+                <footer class="invoice-footer">شكراً لتسوقكم من عطور جولد</footer>
+            </section>
+        `;
+    }
+
+    /**
+     * Print styles (A4, RTL, black on white)
+     * @returns {string} CSS
+     */
+    static getStyles() {
+        return `
+            @page { size: ${APP_CONFIG.invoice.paperSize}; margin: 12mm; }
+            * { box-sizing: border-box; margin: 0; padding: 0; }
+            body { font-family: 'Segoe UI', Tahoma, Arial, sans-serif; color: #222; background: #fff; direction: rtl; }
+            .invoice-page { padding: 8mm; font-size: 11pt; line-height: 1.6; direction: rtl; text-align: right; color: #222; background: #fff; }
+            .invoice-break { page-break-before: always; break-before: page; }
+            .invoice-header { display: flex; justify-content: space-between; align-items: flex-start; padding-bottom: 4mm; border-bottom: 2px solid #d4af37; }
+            .invoice-store { display: flex; align-items: center; gap: 4mm; }
+            .invoice-logo { width: 18mm; height: 18mm; object-fit: contain; }
+            .invoice-store h1 { font-size: 18pt; color: #b8962e; }
+            .invoice-meta { text-align: left; }
+            .invoice-meta h2 { font-size: 16pt; }
+            .invoice-customer { margin: 6mm 0; padding: 4mm; border: 1px solid #ddd; border-radius: 2mm; }
+            .invoice-customer h3 { font-size: 12pt; margin-bottom: 2mm; }
+            .invoice-items { width: 100%; border-collapse: collapse; }
+            .invoice-items th, .invoice-items td { padding: 2mm 3mm; border: 1px solid #ddd; text-align: center; }
+            .invoice-items th { background: #f5efd9; }
+            .invoice-items .invoice-product { text-align: right; }
+            .invoice-items tr { page-break-inside: avoid; }
+            .invoice-check { font-size: 14pt; }
+            .invoice-totals { width: 45%; margin: 5mm 0 0 auto; border-collapse: collapse; }
+            .invoice-totals td { padding: 1.5mm 3mm; }
+            .invoice-totals td:last-child { text-align: left; }
+            .invoice-grand-total td { border-top: 2px solid #222; font-weight: bold; font-size: 13pt; }
+            .invoice-count { margin-top: 4mm; font-weight: bold; }
+            .invoice-footer { margin-top: 10mm; text-align: center; color: #777; font-size: 10pt; }
+        `;
+    }
+
+    /**
+     * File name for a download
+     * @param {Array} orders - Orders
+     * @param {string} type - Document type
+     * @returns {string} e.g. "invoice-1024.pdf", "packing-slips-5-orders.pdf"
+     */
+    static getFileName(orders, type = InvoiceGenerator.TYPES.INVOICE) {
+        const prefix = type === InvoiceGenerator.TYPES.PACKING_SLIP ? 'packing-slip' : 'invoice';
+
+        return orders.length === 1
+            ? `${prefix}-${orders[0].id}.pdf`
+            : `${prefix}s-${orders.length}-orders.pdf`;
+    }
+
+    /**
+     * Wait until the document's images have loaded (or failed), so the logo prints
+     * @param {Document} doc - Document
+     * @returns {Promise<void>}
+     */
+    static whenImagesLoaded(doc) {
+        const pending = Array.from(doc.images)
+            .filter(image => !image.complete)
+            .map(image => new Promise(resolve => {
+                image.onload = resolve;
+                image.onerror = resolve;
+            }));
+
+        return Promise.all(pending).then(() => undefined);
+    }
+
+    /**
+     * Escape a value for HTML text and attributes
+     * @param {any} value - Value
+     * @returns {string} Escaped text
+     */
+    static escape(value) {
+        return sanitizeHTML(String(value ?? '')).replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InvoiceGenerator;
+}
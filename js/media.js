@@ -0,0 +1,282 @@
+/**
+ * Gold Perfium - Media Upload
+ * Sends category, product, logo and hero images to the admin API: the file is
+ * checked against APP_CONFIG first (type, size and pixel dimensions), upload
+ * progress is reported, the upload can be cancelled with an AbortSignal, and
+ * the stored image path comes back ready to display through buildImageUrl.
+ * Forms that carry their images with other fields (the product and store info
+ * forms) are sent through submit, with the same progress and cancellation.
+ */
+
+class MediaUpload {
+    /**
+     * Image kinds (keys of APP_CONFIG.media.kinds)
+     */
+    static KINDS = {
+        CATEGORY: 'category',
+        PRODUCT: 'product',
+        LOGO: 'logo',
+        HERO: 'hero',
+    };
+
+    /**
+     * Upload rules for a kind of image
+     * @param {string} kind - MediaUpload.KINDS value
+     * @returns {object} {field, minWidth, minHeight, maxWidth, maxHeight}
+     */
+    static getRules(kind) {
+        const rules = APP_CONFIG.media.kinds[kind];
+        if (!rules) {
+            throw new Error(`Unknown media kind: ${kind}`);
+        }
+        return rules;
+    }
+
+    /**
+     * Check an image before uploading it
+     * @param {File} file - Selected file
+     * @param {string} kind - MediaUpload.KINDS value
+     * @returns {Promise<object>} Validation result {valid, error, width, height}
+     */
+    static async validate(file, kind) {
+        const rules = MediaUpload.getRules(kind);
+        const check = validateFileUpload(file, APP_CONFIG.acceptedImageTypes, APP_CONFIG.maxImageSize);
+
+        if (!check.valid) {
+            return { ...check, width: 0, height: 0 };
+        }
+
+        let size;
+        try {
+            size = await MediaUpload.readDimensions(file);
+        } catch (error) {
+            return { valid: false, error: 'تعذر قراءة الصورة، قد يكون الملف تالفاً', width: 0, height: 0 };
+        }
+
+        const { width, height } = size;
+
+        if (width < rules.minWidth || height < rules.minHeight) {
+            return {
+                valid: false,
+                error: `أبعاد الصورة صغيرة جداً (${width}×${height})، الحد الأدنى ${rules.minWidth}×${rules.minHeight} بكسل`,
+                width,
+                height,
+            };
+        }
+
+        if (width > rules.maxWidth || height > rules.maxHeight) {
+            return {
+                valid: false,
+                error: `أبعاد الصورة كبيرة جداً (${width}×${height})، الحد الأقصى ${rules.maxWidth}×${rules.maxHeight} بكسل`,
+                width,
+                height,
+            };
+        }
+
+        return { valid: true, error: null, width, height };
+    }
+
+    /**
+     * Pixel size of an image file
+     * @param {File} file - Image file
+     * @returns {Promise<object>} {width, height}
+     */
+    static readDimensions(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve({ width: image.naturalWidth, height: image.naturalHeight });
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`Could not decode ${file.name}`));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Validate and upload an image
+     * Uses XMLHttpRequest because fetch cannot report upload progress. An expired
+     * admin session is renewed through SessionManager and the upload sent again.
+     * @param {string} url - Upload endpoint
+     * @param {File} file - Image file
+     * @param {object} options - Upload options
+     * @param {string} options.kind - MediaUpload.KINDS value (validation rules and form field)
+     * @param {string} options.method - HTTP method
+     * @param {object} options.fields - Extra form fields sent with the file
+     * @param {Function} options.onProgress - (loaded, total) as the file is sent
+     * @param {AbortSignal} options.signal - Cancels the upload
+     * @returns {Promise<object>} {path, url, response}: stored path, display URL (buildImageUrl) and server response
+     */
+    static async upload(url, file, { kind, method = 'POST', fields = {}, onProgress = null, signal } = {}) {
+        const rules = MediaUpload.getRules(kind);
+        const check = await MediaUpload.validate(file, kind);
+
+        if (!check.valid) {
+            throw new ApiError(check.error, {
+                type: 'invalid',
+                endpoint: url,
+                method,
+                payload: { message: check.error, errors: [check.error] },
+            });
+        }
+
+        const body = new FormData();
+        Object.entries(fields).forEach(([name, value]) => {
+            if (value !== undefined && value !== null) body.append(name, value);
+        });
+        body.append(rules.field, file);
+
+        const response = await MediaUpload.submit(url, body, {
+            method,
+            onProgress: onProgress && ((loaded, total) => onProgress(Math.min(loaded, total || file.size), total || file.size)),
+            signal,
+        });
+        const path = MediaUpload.extractPath(response, rules.field);
+
+        return { path, url: path ? buildImageUrl(path) : null, response };
+    }
+
+    /**
+     * Send a form (fields and already validated files) with upload progress
+     * An expired admin session is renewed through SessionManager and the form sent again.
+     * @param {string} url - Endpoint
+     * @param {FormData} body - Form
+     * @param {object} options - Upload options
+     * @param {string} options.method - HTTP method
+     * @param {Function} options.onProgress - (loaded, total) as the form is sent (total is 0 when unknown)
+     * @param {AbortSignal} options.signal - Cancels the upload
+     * @returns {Promise<any>} Parsed response body (null for empty responses)
+     */
+    static async submit(url, body, { method = 'POST', onProgress = null, signal } = {}) {
+        let reauthenticated = false;
+
+        while (true) {
+            try {
+                return await MediaUpload.send(url, body, { method, onProgress, signal });
+            } catch (error) {
+                if (!reauthenticated && error.isAuthError && await SessionManager.handleSessionExpired()) {
+                    reauthenticated = true;
+                    continue;
+                }
+
+                console.error(`Upload ${method} ${url} failed:`, error);
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Send a form with the admin's credentials
+     * @param {string} url - Upload endpoint
+     * @param {FormData} body - Form with the file
+     * @param {object} options - {method, onProgress, signal}
+     * @returns {Promise<any>} Parsed response body (null for empty responses)
+     */
+    static send(url, body, { method, onProgress, signal }) {
+        return new Promise((resolve, reject) => {
+            const fail = (message, details) => reject(new ApiError(message, { endpoint: url, method, ...details }));
+
+            if (signal?.aborted) {
+                fail('Request aborted', { type: 'aborted' });
+                return;
+            }
+
+            const xhr = new XMLHttpRequest();
+            const onAbort = () => xhr.abort();
+            const cleanup = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+
+            xhr.open(method, url);
+            xhr.timeout = APP_CONFIG.media.uploadTimeout;
+
+            const authorization = AuthSession.getAuthorizationHeader();
+            if (authorization) {
+                xhr.setRequestHeader('Authorization', authorization);
+            }
+
+            if (onProgress) {
+                xhr.upload.onprogress = event => onProgress(event.loaded, event.lengthComputable ? event.total : 0);
+            }
+
+            xhr.onload = () => {
+                cleanup();
+                const payload = MediaUpload.parseBody(xhr.responseText);
+
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    resolve(payload);
+                    return;
+                }
+
+                fail(HttpClient.extractMessage(payload, { status: xhr.status }), {
+                    status: xhr.status,
+                    payload,
+                    retryAfter: Number(xhr.getResponseHeader('Retry-After')) || null,
+                });
+            };
+            xhr.onerror = () => {
+                cleanup();
+                fail('Network request failed', { type: 'network' });
+            };
+            xhr.ontimeout = () => {
+                cleanup();
+                fail('Request timed out', { type: 'timeout' });
+            };
+            xhr.onabort = () => {
+                cleanup();
+                fail('Request aborted', { type: 'aborted' });
+            };
+
+            if (signal) signal.addEventListener('abort', onAbort);
+            xhr.send(body);
+        });
+    }
+
+    /**
+     * Parse a response body as JSON, or keep it as text
+     * @param {string} text - Response text
+     * @returns {any} Parsed body or null when empty
+     */
+    static parseBody(text) {
+        if (!text) return null;
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return text;
+        }
+    }
+
+    /**
+     * Stored image path from an upload response
+     * Accepts a bare path, {url|path|imageUrl|image}, the updated record
+     * (its field or images list), or an array of paths
+     * @param {any} response - Parsed response body
+     * @param {string} field - Form field the file was sent as
+     * @returns {string|null} Path as stored by the server
+     */
+    static extractPath(response, field) {
+        if (!response) return null;
+        if (typeof response === 'string') return response.trim() || null;
+        if (Array.isArray(response)) return MediaUpload.extractPath(response[response.length - 1], field);
+
+        const path = response.url || response.path || response.imageUrl || response[field] || response.image;
+        if (typeof path === 'string' && path) return path;
+
+        if (Array.isArray(response.images) && response.images.length > 0) {
+            return MediaUpload.extractPath(response.images[response.images.length - 1], field);
+        }
+
+        return null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MediaUpload;
+}
@@ -0,0 +1,306 @@
+/**
+ * Gold Perfium - Orders Export
+ * Downloads the orders matching the admin filters (every page, through
+ * OrderWorkflow.collectOrders) for accounting: CSV, or an Excel workbook with
+ * a summary sheet of totals per status and per day
+ */
+
+class OrderExport {
+    /**
+     * Row layouts
+     * ORDERS has one row per order; ITEMS has one row per line item, repeating the order's details.
+     */
+    static LAYOUTS = {
+        ORDERS: 'orders',
+        ITEMS: 'items',
+    };
+
+    /**
+     * Spreadsheet library, loaded on first use
+     * @type {Promise<object>|null}
+     */
+    static xlsxLibrary = null;
+
+    /**
+     * Column definitions for a layout
+     * @param {string} layout - OrderExport.LAYOUTS value
+     * @returns {Array} [{header, value: (order, item) => cell}]
+     */
+    static getColumns(layout) {
+        const amount = value => Number(value) || 0;
+        const orderColumns = [
+            { header: 'رقم الطلب', value: order => order.id },
+            { header: 'التاريخ', value: order => OrderExport.formatDateTime(order.createdAt) },
+            { header: 'الحالة', value: order => APP_CONFIG.orderStatusLabels[order.status] || order.status },
+            { header: 'اسم العميل', value: order => order.customerName || '' },
+            { header: 'الموبايل', value: order => order.customerPhone || '' },
+            { header: 'العنوان', value: order => order.shippingAddress || '' },
+        ];
+
+        if (layout === OrderExport.LAYOUTS.ITEMS) {
+            return [
+                ...orderColumns,
+                { header: 'رقم المنتج', value: (order, item) => item.product?.id ?? '' },
+                { header: 'المنتج', value: (order, item) => item.product?.name || '' },
+                { header: 'الكمية', value: (order, item) => amount(item.quantity) },
+                { header: 'سعر الوحدة', value: (order, item) => amount(item.unitPrice) },
+                { header: 'الإجمالي', value: (order, item) => amount(item.subtotal) },
+            ];
+        }
+
+        return [
+            ...orderColumns,
+            { header: 'عدد القطع', value: order => (order.items || []).reduce((sum, item) => sum + amount(item.quantity), 0) },
+            { header: 'المجموع الفرعي', value: order => amount(OrderExport.getSubtotal(order)) },
+            { header: 'الخصم', value: order => amount(order.discountAmount) },
+            { header: 'كود الخصم', value: order => order.promoCode || '' },
+            { header: 'الشحن', value: order => amount(order.shippingFee) },
+            { header: 'الإجمالي', value: order => amount(order.totalAmount) },
+        ];
+    }
+
+    /**
+     * Table of orders, header row first
+     * @param {Array} orders - Orders
+     * @param {string} layout - OrderExport.LAYOUTS value
+     * @returns {Array<Array>} Rows
+     */
+    static buildRows(orders, layout = OrderExport.LAYOUTS.ORDERS) {
+        const columns = OrderExport.getColumns(layout);
+        const rows = [columns.map(column => column.header)];
+
+        orders.forEach(order => {
+            if (layout === OrderExport.LAYOUTS.ITEMS) {
+                (order.items || []).forEach(item => {
+                    rows.push(columns.map(column => column.value(order, item)));
+                });
+            } else {
+                rows.push(columns.map(column => column.value(order)));
+            }
+        });
+
+        return rows;
+    }
+
+    /**
+     * Totals per status and per day
+     * Cancelled orders are counted, but left out of the day's sales.
+     * @param {Array} orders - Orders
+     * @returns {object} {byStatus: [{status, label, count, total}], byDay: [{day, count, cancelled, discount, shipping, sales}], totals}
+     */
+    static buildSummary(orders) {
+        const amount = value => Number(value) || 0;
+        const byStatus = Object.values(APP_CONFIG.orderStatus).map(status => ({
+            status,
+            label: APP_CONFIG.orderStatusLabels[status] || status,
+            count: 0,
+            total: 0,
+        }));
+        const days = new Map();
+        const totals = { count: 0, cancelled: 0, discount: 0, shipping: 0, sales: 0 };
+
+        orders.forEach(order => {
+            const statusRow = byStatus.find(row => row.status === order.status);
+            if (statusRow) {
+                statusRow.count++;
+                statusRow.total += amount(order.totalAmount);
+            }
+
+            const date = new Date(order.createdAt);
+            const day = Number.isNaN(date.getTime()) ? '' : OrderQuery.formatDay(date);
+            if (!days.has(day)) {
+                days.set(day, { day, count: 0, cancelled: 0, discount: 0, shipping: 0, sales: 0 });
+            }
+
+            [days.get(day), totals].forEach(row => {
+                row.count++;
+                if (order.status === APP_CONFIG.orderStatus.CANCELLED) {
+                    row.cancelled++;
+                } else {
+                    row.discount += amount(order.discountAmount);
+                    row.shipping += amount(order.shippingFee);
+                    row.sales += amount(order.totalAmount);
+                }
+            });
+        });
+
+        return {
+            byStatus,
+            byDay: [...days.values()].sort((a, b) => a.day.localeCompare(b.day)),
+            totals,
+        };
+    }
+
+    /**
+     * Summary as sheet rows (status table, blank row, day table)
+     * @param {object} summary - Result of buildSummary
+     * @returns {Array<Array>} Rows
+     */
+    static buildSummaryRows(summary) {
+        const round = value => Math.round(value * 100) / 100;
+
+        return [
+            ['الحالة', 'عدد الطلبات', 'إجمالي القيمة'],
+            ...summary.byStatus.map(row => [row.label, row.count, round(row.total)]),
+            [],
+            ['اليوم', 'عدد الطلبات', 'الملغي', 'الخصومات', 'الشحن', 'المبيعات (بدون الملغي)'],
+            ...summary.byDay.map(row => [row.day || 'بدون تاريخ', row.count, row.cancelled, round(row.discount), round(row.shipping), round(row.sales)]),
+            [
+                'الإجمالي',
+                summary.totals.count,
+                summary.totals.cancelled,
+                round(summary.totals.discount),
+                round(summary.totals.shipping),
+                round(summary.totals.sales),
+            ],
+        ];
+    }
+
+    /**
+     * Download orders as CSV (UTF-8 with a BOM so Excel shows Arabic correctly)
+     * @param {Array} orders - Orders
+     * @param {object} options - {layout: OrderExport.LAYOUTS value}
+     */
+    static downloadCsv(orders, { layout = OrderExport.LAYOUTS.ORDERS } = {}) {
+        const csv = '\uFEFF' + OrderExport.toCsv(OrderExport.buildRows(orders, layout));
+        OrderExport.saveFile(new Blob([csv], { type: 'text/csv;charset=utf-8' }), OrderExport.getFileName(layout, 'csv'));
+    }
+
+    /**
+     * Download orders as an Excel workbook with a summary sheet
+     * Falls back to CSV when the spreadsheet library cannot be loaded.
+     * @param {Array} orders - Orders
+     * @param {object} options - {layout: OrderExport.LAYOUTS value}
+     * @returns {Promise<void>}
+     */
+    static async downloadXlsx(orders, { layout = OrderExport.LAYOUTS.ORDERS } = {}) {
+        let XLSX;
+        try {
+            XLSX = await OrderExport.loadXlsxLibrary();
+        } catch (error) {
+            console.error('Spreadsheet library could not be loaded, exporting CSV instead:', error);
+            OrderExport.downloadCsv(orders, { layout });
+            return;
+        }
+
+        const workbook = XLSX.utils.book_new();
+        workbook.Workbook = { Views: [{ RTL: true }] };
+
+        const addSheet = (rows, name) => {
+            const sheet = XLSX.utils.aoa_to_sheet(rows);
+            const columnCount = Math.max(...rows.map(row => row.length));
+            sheet['!cols'] = Array.from({ length: columnCount }, (_, index) => ({
+                wch: Math.min(Math.max(...rows.map(row => String(row[index] ?? '').length), 8) + 2, 50),
+            }));
+            XLSX.utils.book_append_sheet(workbook, sheet, name);
+        };
+
+        addSheet(OrderExport.buildRows(orders, layout), layout === OrderExport.LAYOUTS.ITEMS ? 'المنتجات' : 'الطلبات');
+        addSheet(OrderExport.buildSummaryRows(OrderExport.buildSummary(orders)), 'الملخص');
+
+        XLSX.writeFile(workbook, OrderExport.getFileName(layout, 'xlsx'), { compression: true });
+    }
+
+    /**
+     * Load SheetJS once, checked against its pinned integrity hash
+     * @returns {Promise<object>} XLSX
+     */
+    static loadXlsxLibrary() {
+        if (!OrderExport.xlsxLibrary) {
+            OrderExport.xlsxLibrary = new Promise((resolve, reject) => {
+                if (typeof window.XLSX === 'object') {
+                    resolve(window.XLSX);
+                    return;
+                }
+
+                const script = document.createElement('script');
+                script.src = APP_CONFIG.export.xlsxLibraryUrl;
+                script.integrity = APP_CONFIG.export.xlsxLibraryIntegrity;
+                script.crossOrigin = 'anonymous';
+                script.onload = () => resolve(window.XLSX);
+                script.onerror = () => reject(new Error('Failed to load ' + APP_CONFIG.export.xlsxLibraryUrl));
+                document.head.appendChild(script);
+            }).catch(error => {
+                // Allow a retry on the next download
+                OrderExport.xlsxLibrary = null;
+                throw error;
+            });
+        }
+
+        return OrderExport.xlsxLibrary;
+    }
+
+    /**
+     * Rows as CSV text (CRLF line endings)
+     * Text starting with =, +, - or @ is prefixed with ' so spreadsheets do not run it as a formula.
+     * @param {Array<Array>} rows - Rows
+     * @returns {string} CSV
+     */
+    static toCsv(rows) {
+        const cell = value => {
+            if (value === null || value === undefined) return '';
+            if (typeof value === 'number') return String(value);
+
+            let text = String(value);
+            if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return rows.map(row => row.map(cell).join(',')).join('\r\n');
+    }
+
+    /**
+     * Save a file through a temporary download link
+     * @param {Blob} blob - File contents
+     * @param {string} fileName - File name
+     */
+    static saveFile(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * File name for an export, dated today
+     * @param {string} layout - OrderExport.LAYOUTS value
+     * @param {string} extension - 'csv' or 'xlsx'
+     * @returns {string} e.g. "orders-2024-05-01.csv"
+     */
+    static getFileName(layout, extension) {
+        const prefix = layout === OrderExport.LAYOUTS.ITEMS ? 'order-items' : 'orders';
+        return `${prefix}-${OrderQuery.formatDay(new Date())}.${extension}`;
+    }
+
+    /**
+     * Order subtotal, from the line items when the server did not send it
+     * @param {object} order - Order
+     * @returns {number}
+     */
+    static getSubtotal(order) {
+        return order.subtotalAmount ?? (order.items || []).reduce((sum, item) => sum + (Number(item.subtotal) || 0), 0);
+    }
+
+    /**
+     * Local date and time as "YYYY-MM-DD HH:mm" (sorts correctly in a spreadsheet)
+     * @param {string} value - ISO date
+     * @returns {string}
+     */
+    static formatDateTime(value) {
+        const date = new Date(value);
+        if (!value || Number.isNaN(date.getTime())) return '';
+
+        const pad = number => String(number).padStart(2, '0');
+        return `${OrderQuery.formatDay(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderExport;
+}
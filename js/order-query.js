@@ -0,0 +1,183 @@
+/**
+ * Gold Perfium - Admin Order Query
+ * Filters and sort order for the admin order list: validated from the filter
+ * form, serialized into API query params, and mirrored in the page URL so a
+ * filtered view can be bookmarked
+ */
+
+class OrderQuery {
+    /**
+     * Relative date ranges, resolved when the query is used (so a bookmarked
+     * "this week" always means the current week)
+     * @type {Array<string>}
+     */
+    static ranges = ['today', 'thisWeek', 'thisMonth', 'last30'];
+
+    /**
+     * Empty query
+     * @returns {object} {status, range, from, to, phone, search, minTotal, maxTotal, sort, direction, page}
+     */
+    static defaults() {
+        return {
+            status: '',
+            range: '',
+            from: '',
+            to: '',
+            phone: '',
+            search: '',
+            minTotal: null,
+            maxTotal: null,
+            sort: APP_CONFIG.orderQuery.defaultSort,
+            direction: APP_CONFIG.orderQuery.defaultDirection,
+            page: 0,
+        };
+    }
+
+    /**
+     * Validate and clean a query; unknown or malformed values are dropped
+     * @param {object} input - Raw values (form fields or URL params)
+     * @returns {object} Query
+     */
+    static normalize(input = {}) {
+        const query = OrderQuery.defaults();
+        const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime());
+        const toAmount = value => {
+            if (value === undefined || value === null || String(value).trim() === '') return null;
+            const amount = Number(normalizeDigits(String(value)));
+            return Number.isFinite(amount) && amount >= 0 ? amount : null;
+        };
+
+        if (Object.values(APP_CONFIG.orderStatus).includes(input.status)) {
+            query.status = input.status;
+        }
+
+        if (OrderQuery.ranges.includes(input.range)) {
+            query.range = input.range;
+        } else {
+            query.from = isDate(input.from) ? input.from : '';
+            query.to = isDate(input.to) ? input.to : '';
+            if (query.from && query.to && query.from > query.to) {
+                [query.from, query.to] = [query.to, query.from];
+            }
+        }
+
+        query.phone = normalizeDigits(String(input.phone || '')).replace(/[^\d+]/g, '');
+        query.search = String(input.search || '').trim().slice(0, 100);
+
+        query.minTotal = toAmount(input.minTotal);
+        query.maxTotal = toAmount(input.maxTotal);
+        if (query.minTotal !== null && query.maxTotal !== null && query.minTotal > query.maxTotal) {
+            [query.minTotal, query.maxTotal] = [query.maxTotal, query.minTotal];
+        }
+
+        if (APP_CONFIG.orderQuery.sortFields.includes(input.sort)) {
+            query.sort = input.sort;
+        }
+        if (input.direction === 'asc' || input.direction === 'desc') {
+            query.direction = input.direction;
+        }
+
+        const page = parseInt(input.page, 10);
+        query.page = Number.isInteger(page) && page > 0 ? page : 0;
+
+        return query;
+    }
+
+    /**
+     * Date bounds of a query, with relative ranges resolved
+     * @param {object} query - Query
+     * @param {Date} now - Reference date
+     * @returns {object} {from, to} as YYYY-MM-DD ('' when open)
+     */
+    static resolveDates(query, now = new Date()) {
+        if (!query.range) {
+            return { from: query.from, to: query.to };
+        }
+
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const start = new Date(today);
+
+        if (query.range === 'thisWeek') {
+            start.setDate(today.getDate() - ((today.getDay() - APP_CONFIG.orderQuery.weekStartsOn + 7) % 7));
+        } else if (query.range === 'thisMonth') {
+            start.setDate(1);
+        } else if (query.range === 'last30') {
+            start.setDate(today.getDate() - 29);
+        }
+
+        return { from: OrderQuery.formatDay(start), to: OrderQuery.formatDay(today) };
+    }
+
+    /**
+     * API query params for a query (Spring-style sort)
+     * @param {object} query - Query
+     * @returns {object} Params for HttpClient.buildUrl (empty values are skipped)
+     */
+    static toParams(query) {
+        const { from, to } = OrderQuery.resolveDates(query);
+
+        return {
+            status: toServerOrderStatus(query.status),
+            createdFrom: from ? `${from}T00:00:00` : '',
+            createdTo: to ? `${to}T23:59:59` : '',
+            customerPhone: query.phone,
+            search: query.search,
+            minTotal: query.minTotal,
+            maxTotal: query.maxTotal,
+            sort: `${query.sort},${query.direction}`,
+        };
+    }
+
+    /**
+     * Read a query from the page URL
+     * @param {string} search - location.search
+     * @returns {object} Query
+     */
+    static fromSearch(search) {
+        return OrderQuery.normalize(Object.fromEntries(new URLSearchParams(search)));
+    }
+
+    /**
+     * Page URL query string for a query (defaults are left out)
+     * @param {object} query - Query
+     * @returns {string} e.g. "?status=NEW&range=thisWeek", or "" for the default view
+     */
+    static toSearch(query) {
+        const defaults = OrderQuery.defaults();
+        const params = new URLSearchParams();
+
+        Object.keys(defaults).forEach(key => {
+            const value = query[key];
+            if (value === null || value === '' || value === defaults[key]) return;
+            params.set(key, value);
+        });
+
+        const search = params.toString();
+        return search ? `?${search}` : '';
+    }
+
+    /**
+     * Whether any filter is set (sort and page do not count)
+     * @param {object} query - Query
+     * @returns {boolean}
+     */
+    static hasFilters(query) {
+        return Boolean(query.status || query.range || query.from || query.to || query.phone || query.search
+            || query.minTotal !== null || query.maxTotal !== null);
+    }
+
+    /**
+     * Local date as YYYY-MM-DD
+     * @param {Date} date - Date
+     * @returns {string}
+     */
+    static formatDay(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderQuery;
+}
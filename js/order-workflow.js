@@ -0,0 +1,206 @@
+/**
+ * Gold Perfium - Order Workflow
+ * Which status an order may move to next (APP_CONFIG.orderTransitions), and
+ * status updates that append to the order's statusHistory with the admin's username
+ */
+
+class OrderWorkflow {
+    /**
+     * Map the server's status spellings to APP_CONFIG.orderStatus
+     * The server stores CANCELED (APP_CONFIG.orderStatusServerValues).
+     * @param {string} status - Status from the server
+     * @returns {string} Status
+     */
+    static normalizeStatus(status) {
+        return normalizeOrderStatus(status);
+    }
+
+    /**
+     * Order with its status (and history) normalized
+     * @param {object} order - Order from the server
+     * @returns {object} Order
+     */
+    static normalizeOrder(order) {
+        return normalizeOrder(order);
+    }
+
+    /**
+     * Fetch every admin order matching a query, one page after another
+     * @param {object} query - Filters and sort (OrderQuery)
+     * @param {object} options - Fetch options
+     * @param {Function} options.onProgress - (loaded, total) after each page
+     * @returns {Promise<Array>} Orders, status normalized
+     */
+    static async collectOrders(query, { onProgress = null } = {}) {
+        const orders = [];
+
+        for await (const page of iteratePages((page, size) => APIService.getAdminOrders(query, page, size))) {
+            orders.push(...page.items.map(OrderWorkflow.normalizeOrder));
+            if (onProgress) onProgress(orders.length, Math.max(page.total, orders.length));
+        }
+
+        return orders;
+    }
+
+    /**
+     * Statuses an order in the given status may move to
+     * @param {string} status - Current status
+     * @returns {Array<string>} Allowed next statuses
+     */
+    static getAllowedTransitions(status) {
+        return APP_CONFIG.orderTransitions[OrderWorkflow.normalizeStatus(status)] || [];
+    }
+
+    /**
+     * Whether a status is final
+     * @param {string} status - Status
+     * @returns {boolean}
+     */
+    static isTerminal(status) {
+        return OrderWorkflow.getAllowedTransitions(status).length === 0;
+    }
+
+    /**
+     * Check a status change
+     * @param {string} from - Current status
+     * @param {string} to - Requested status
+     * @returns {object} {ok, message}
+     */
+    static validateTransition(from, to) {
+        const current = OrderWorkflow.normalizeStatus(from);
+        const label = status => APP_CONFIG.orderStatusLabels[status] || status;
+
+        if (!Object.values(APP_CONFIG.orderStatus).includes(to)) {
+            return { ok: false, message: 'حالة غير معروفة' };
+        }
+        if (current === to) {
+            return { ok: false, message: `الطلب بالفعل في حالة «${label(to)}»` };
+        }
+        if (OrderWorkflow.isTerminal(current)) {
+            return { ok: false, message: `لا يمكن تغيير حالة طلب «${label(current)}»` };
+        }
+        if (!OrderWorkflow.getAllowedTransitions(current).includes(to)) {
+            return { ok: false, message: `لا يمكن نقل الطلب من «${label(current)}» إلى «${label(to)}»` };
+        }
+
+        return { ok: true, message: '' };
+    }
+
+    /**
+     * Whether moving to a status needs the admin's confirmation
+     * Terminal statuses cannot be left again, so they are confirmed first.
+     * @param {string} to - Requested status
+     * @returns {boolean}
+     */
+    static requiresConfirmation(to) {
+        return OrderWorkflow.isTerminal(to);
+    }
+
+    /**
+     * Confirmation prompt for a status change
+     * @param {string} to - Requested status
+     * @param {number} count - Number of orders affected
+     * @returns {string} Arabic message
+     */
+    static getConfirmationMessage(to, count = 1) {
+        const label = APP_CONFIG.orderStatusLabels[to] || to;
+        const target = count === 1 ? 'الطلب' : `${count} طلبات`;
+
+        return `سيتم تغيير حالة ${target} إلى «${label}» ولا يمكن التراجع عن ذلك لاحقاً. هل تريد المتابعة؟`;
+    }
+
+    /**
+     * Status changes recorded on an order, oldest first
+     * @param {object} order - Order
+     * @returns {Array} [{from, status, changedAt, changedBy, note}]
+     */
+    static getHistory(order) {
+        return normalizeOrder(order).statusHistory;
+    }
+
+    /**
+     * Move an order to a new status
+     * @param {object} order - Current order (sent back in full with the new status)
+     * @param {string} status - Requested status
+     * @param {object} options - Update options
+     * @param {string|null} options.username - Admin making the change
+     * @param {string} options.note - Optional note stored with the change
+     * @returns {Promise<object>} {ok, status: 'updated'|'rejected'|'failed', order, entry?, error?, message?}
+     */
+    static async updateStatus(order, status, { username = null, note = '' } = {}) {
+        const current = OrderWorkflow.normalizeStatus(order.status);
+        const check = OrderWorkflow.validateTransition(current, status);
+
+        if (!check.ok) {
+            return { ok: false, status: 'rejected', order, message: check.message };
+        }
+
+        const entry = {
+            from: current,
+            status,
+            changedAt: new Date().toISOString(),
+            changedBy: username,
+            note: note.trim() || null,
+        };
+        const statusHistory = [...OrderWorkflow.getHistory(order), entry];
+
+        try {
+            // Sent with the server's spellings; the response is normalized again below
+            const updated = await APIService.updateOrder(order.id, {
+                ...order,
+                status: toServerOrderStatus(status),
+                statusHistory: statusHistory.map(item => ({
+                    ...item,
+                    from: item.from ? toServerOrderStatus(item.from) : null,
+                    status: toServerOrderStatus(item.status),
+                })),
+            });
+
+            return {
+                ok: true,
+                status: 'updated',
+                order: OrderWorkflow.normalizeOrder(updated || { ...order, status, statusHistory }),
+                entry,
+            };
+        } catch (error) {
+            return {
+                ok: false,
+                status: 'failed',
+                order,
+                error,
+                message: error instanceof ApiError ? error.getUserMessage() : 'فشل في تحديث حالة الطلب',
+            };
+        }
+    }
+
+    /**
+     * Move several orders to the same status, one request at a time
+     * Orders that cannot make the transition are skipped; the rest are still updated.
+     * @param {Array} orders - Orders
+     * @param {string} status - Requested status
+     * @param {object} options - See updateStatus
+     * @returns {Promise<object>} {updated: [result], rejected: [result], failed: [result]}
+     */
+    static async bulkUpdate(orders, status, options = {}) {
+        const summary = { updated: [], rejected: [], failed: [] };
+
+        for (const order of orders) {
+            const result = await OrderWorkflow.updateStatus(order, status, options);
+            summary[result.status].push(result);
+
+            // Signed out (the admin dismissed the sign-in dialog): the remaining requests would fail too
+            if (result.error instanceof ApiError && result.error.isAuthError) {
+                const remaining = orders.slice(orders.indexOf(order) + 1);
+                remaining.forEach(rest => summary.failed.push({ ok: false, status: 'failed', order: rest, error: result.error, message: result.message }));
+                break;
+            }
+        }
+
+        return summary;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderWorkflow;
+}
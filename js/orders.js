@@ -0,0 +1,221 @@
+/**
+ * Gold Perfium - Customer Orders
+ * Orders placed from this browser ("my orders", kept in localStorage) and
+ * public order tracking by order number and phone (APIService.trackOrder)
+ */
+
+class OrderHistory {
+    /**
+     * Orders placed from this browser, newest first
+     * @returns {Array} [{id, status, createdAt, customerName, customerPhone, shippingAddress, subtotalAmount,
+     *  discountAmount, shippingFee, deliveryDays, totalAmount, items: [{productId, name, quantity, unitPrice, subtotal}]}]
+     */
+    static getAll() {
+        const entries = secureGetItem(APP_CONFIG.orders.historyKey, true);
+        return Array.isArray(entries) ? entries : [];
+    }
+
+    /**
+     * Find an order in the history
+     * @param {number|string} orderId - Order ID
+     * @returns {object|null} Entry
+     */
+    static get(orderId) {
+        return OrderHistory.getAll().find(entry => String(entry.id) === String(orderId)) || null;
+    }
+
+    /**
+     * Record a confirmed order
+     * @param {object} order - Order returned by the server
+     * @param {object} orderData - Payload the order was submitted with
+     * @param {Array} cartItems - Cart lines at checkout (optional)
+     * @returns {object} Entry (also returned, but not stored, when the server sent no order ID)
+     */
+    static add(order, orderData, cartItems = []) {
+        const entry = OrderHistory.createEntry(order, orderData, cartItems);
+
+        if (entry.id !== null) {
+            const others = OrderHistory.getAll().filter(existing => String(existing.id) !== String(entry.id));
+            OrderHistory.save([entry, ...others]);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Build a history entry (a readable receipt of the order)
+     * Item names come from the server's order when it includes them, otherwise
+     * from the cart lines the order was built from.
+     * @param {object|null} order - Order returned by the server, if any
+     * @param {object} orderData - Order payload
+     * @param {Array} cartItems - Cart lines at checkout (optional)
+     * @returns {object} Entry
+     */
+    static createEntry(order, orderData, cartItems = []) {
+        const findName = productId => {
+            const sameProduct = item => String(item.product?.id) === String(productId);
+            return order?.items?.find(sameProduct)?.product?.name || cartItems.find(sameProduct)?.product.name || `منتج #${productId}`;
+        };
+
+        return {
+            id: order?.id ?? null,
+            status: order?.status || APP_CONFIG.orderStatus.NEW,
+            createdAt: order?.createdAt || new Date().toISOString(),
+            customerName: orderData.customerName,
+            customerPhone: orderData.customerPhone,
+            shippingAddress: orderData.shippingAddress,
+            subtotalAmount: orderData.subtotalAmount,
+            discountAmount: orderData.discountAmount,
+            shippingFee: orderData.shippingFee,
+            deliveryDays: orderData.deliveryDays || null,
+            totalAmount: order?.totalAmount ?? orderData.totalAmount,
+            items: orderData.items.map(item => ({
+                productId: item.product.id,
+                name: findName(item.product.id),
+                quantity: item.quantity,
+                unitPrice: item.unitPrice,
+                subtotal: item.subtotal,
+            })),
+        };
+    }
+
+    /**
+     * Remember the latest known status of an order
+     * @param {number|string} orderId - Order ID
+     * @param {string} status - Order status
+     */
+    static updateStatus(orderId, status) {
+        const entries = OrderHistory.getAll();
+        const entry = entries.find(item => String(item.id) === String(orderId));
+
+        if (entry && status && entry.status !== status) {
+            entry.status = status;
+            OrderHistory.save(entries);
+        }
+    }
+
+    /**
+     * Remove an order from the history
+     * @param {number|string} orderId - Order ID
+     */
+    static remove(orderId) {
+        OrderHistory.save(OrderHistory.getAll().filter(entry => String(entry.id) !== String(orderId)));
+    }
+
+    /**
+     * Store the history, keeping the newest entries
+     * @param {Array} entries - Entries, newest first
+     */
+    static save(entries) {
+        secureSetItem(APP_CONFIG.orders.historyKey, entries.slice(0, APP_CONFIG.orders.historyLimit));
+    }
+}
+
+class OrderTracking {
+    /**
+     * Statuses an order moves through, in order (CANCELLED can end it at any step)
+     * @type {Array<string>}
+     */
+    static steps = [
+        APP_CONFIG.orderStatus.NEW,
+        APP_CONFIG.orderStatus.PROCESSING,
+        APP_CONFIG.orderStatus.SHIPPED,
+        APP_CONFIG.orderStatus.DELIVERED,
+    ];
+
+    /**
+     * Look up an order by its number and the phone it was placed with
+     * @param {string} orderId - Order number as typed by the customer (Arabic digits and a leading # are accepted)
+     * @param {string} phone - Phone number as typed by the customer
+     * @returns {Promise<object>} {status: 'found'|'invalid'|'rateLimited'|'notFound'|'failed', order?, timeline?, errors?, error?, message?}
+     */
+    static async track(orderId, phone) {
+        const errors = {};
+        const id = normalizeDigits(String(orderId || '')).replace(/^#/, '').trim();
+        const customerPhone = sanitizePhone(phone || '');
+
+        if (!/^\d+$/.test(id)) {
+            errors.orderId = 'أدخل رقم الطلب كما ظهر لك عند تأكيد الطلب';
+        }
+        if (!customerPhone) {
+            errors.phone = 'رقم الموبايل غير صحيح، مثال: 01012345678';
+        }
+        if (Object.keys(errors).length > 0) {
+            return { status: 'invalid', errors, message: Object.values(errors).join('\n') };
+        }
+
+        if (!checkRateLimit('orderTracking', APP_CONFIG.orders.maxTrackAttempts, APP_CONFIG.orders.trackAttemptWindow)) {
+            return { status: 'rateLimited', message: 'محاولات كثيرة. يرجى الانتظار قليلاً ثم المحاولة مرة أخرى.' };
+        }
+
+        try {
+            const order = normalizeOrder(await APIService.trackOrder(id, customerPhone));
+            OrderHistory.updateStatus(order.id ?? id, order.status);
+
+            return { status: 'found', order, timeline: OrderTracking.buildTimeline(order) };
+        } catch (error) {
+            // The server answers 404 for an unknown order and for a phone that does not match it
+            if (error instanceof ApiError && error.isNotFound) {
+                return { status: 'notFound', error, message: 'لم نجد طلباً بهذا الرقم ورقم الموبايل. تأكد من البيانات وحاول مرة أخرى.' };
+            }
+
+            return { status: 'failed', error, message: error instanceof ApiError ? error.getUserMessage() : 'تعذر تحميل حالة الطلب. يرجى المحاولة مرة أخرى.' };
+        }
+    }
+
+    /**
+     * Status timeline for an order
+     * Dates come from the order's statusHistory ([{status, changedAt}]) when the
+     * server sends it, otherwise from createdAt/updatedAt.
+     * @param {object} order - Order
+     * @returns {Array} [{status, label, state: 'done'|'current'|'upcoming'|'cancelled', date}]
+     */
+    static buildTimeline(order) {
+        const history = Array.isArray(order.statusHistory) ? order.statusHistory : [];
+        const dateOf = status => {
+            const change = history.filter(item => item.status === status).pop();
+            if (change) return change.changedAt || change.createdAt || null;
+            if (status === APP_CONFIG.orderStatus.NEW) return order.createdAt || null;
+            return status === order.status ? order.updatedAt || null : null;
+        };
+
+        const cancelled = order.status === APP_CONFIG.orderStatus.CANCELLED;
+
+        // A cancelled order stops after the last step it reached
+        const reached = cancelled
+            ? Math.max(...history.map(item => OrderTracking.steps.indexOf(item.status)), 0)
+            : Math.max(OrderTracking.steps.indexOf(order.status), 0);
+
+        const steps = (cancelled ? OrderTracking.steps.slice(0, reached + 1) : OrderTracking.steps).map((status, index) => ({
+            status,
+            label: OrderTracking.getStatusLabel(status),
+            state: index < reached || (cancelled && index === reached) ? 'done' : index === reached ? 'current' : 'upcoming',
+            date: index <= reached ? dateOf(status) : null,
+        }));
+
+        if (cancelled) {
+            steps.push({
+                status: order.status,
+                label: OrderTracking.getStatusLabel(order.status),
+                state: 'cancelled',
+                date: dateOf(order.status),
+            });
+        }
+
+        return steps;
+    }
+
+    /**
+     * Arabic label for a status
+     * @param {string} status - Order status
+     * @returns {string} Label
+     */
+    static getStatusLabel(status) {
+        return APP_CONFIG.orderStatusLabels[status] || status;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OrderHistory, OrderTracking };
+}
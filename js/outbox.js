@@ -0,0 +1,318 @@
+/**
+ * Gold Perfium - Order Outbox
+ * Orders that could not reach the server (offline, timeout, server error) are
+ * kept in IndexedDB with their idempotency key and resubmitted by the service
+ * worker (sw.js) through Background Sync, or by the page when the browser comes
+ * back online where Background Sync is unavailable. Only one of the two ever
+ * flushes. Confirmed orders stay in IndexedDB until a page takes them
+ * (takeConfirmed), so an order confirmed while no page is open is shown on the
+ * next visit.
+ */
+
+class OrderOutbox {
+    /**
+     * Subscribers notified when queued orders change
+     * @type {Set<Function>}
+     */
+    static listeners = new Set();
+
+    /**
+     * Lazily opened IndexedDB connection (resolves to null when unavailable)
+     * @type {Promise<IDBDatabase|null>|null}
+     */
+    static dbPromise = null;
+
+    /**
+     * Flush currently running (concurrent calls share it)
+     * @type {Promise<void>|null}
+     */
+    static flushing = null;
+
+    /**
+     * Service worker registration (null when service workers are unavailable)
+     * @type {Promise<ServiceWorkerRegistration>|null}
+     */
+    static registration = null;
+
+    /**
+     * Queue an order for later submission
+     * @param {object} orderData - Order payload
+     * @param {string} idempotencyKey - Key the order was first sent with
+     * @param {Error} error - Error from the failed attempt
+     * @returns {Promise<object>} Stored entry
+     * @throws {Error} When IndexedDB is unavailable
+     */
+    static async enqueue(orderData, idempotencyKey, error = null) {
+        const entry = {
+            idempotencyKey,
+            orderData,
+            status: 'pending',
+            attempts: 1,
+            createdAt: Date.now(),
+            lastAttemptAt: Date.now(),
+            lastError: error?.message || null,
+        };
+
+        await OrderOutbox.put(entry);
+        OrderOutbox.notify({ type: 'queued', entry });
+        OrderOutbox.requestSync();
+
+        return entry;
+    }
+
+    /**
+     * Resubmit every pending order
+     * Accepted orders are marked confirmed (with the server's order) until a page
+     * takes them; orders the server refuses (e.g. validation errors) are marked
+     * rejected; anything retryable stays pending.
+     * @returns {Promise<void>}
+     */
+    static flush() {
+        if (!OrderOutbox.flushing) {
+            OrderOutbox.flushing = OrderOutbox.run().finally(() => {
+                OrderOutbox.flushing = null;
+            });
+        }
+
+        return OrderOutbox.flushing;
+    }
+
+    /**
+     * Run one flush (see flush)
+     * @returns {Promise<void>}
+     */
+    static async run() {
+        const pending = (await OrderOutbox.getAll()).filter(entry => entry.status === 'pending');
+
+        for (const entry of pending) {
+            try {
+                // Accepted, but the reply could not be read: the order exists, only its number is unknown
+                const order = await APIService.createOrder(entry.orderData, { idempotencyKey: entry.idempotencyKey }).catch(error => {
+                    if (error instanceof ApiError && error.isParseError) return null;
+                    throw error;
+                });
+
+                const confirmed = { ...entry, status: 'confirmed', order, confirmedAt: Date.now() };
+
+                await OrderOutbox.put(confirmed);
+                OrderOutbox.notify({ type: 'confirmed', entry: confirmed, order });
+            } catch (error) {
+                const retryable = !(error instanceof ApiError) || HttpClient.isRetryable(error);
+                const updated = {
+                    ...entry,
+                    status: retryable ? 'pending' : 'rejected',
+                    attempts: entry.attempts + 1,
+                    lastAttemptAt: Date.now(),
+                    lastError: error instanceof ApiError ? error.getUserMessage() : error.message,
+                };
+
+                await OrderOutbox.put(updated);
+                OrderOutbox.notify({ type: retryable ? 'retrying' : 'rejected', entry: updated, error });
+
+                // Still offline: the remaining orders would fail the same way
+                if (error instanceof ApiError && error.isNetworkError) return;
+            }
+        }
+    }
+
+    /**
+     * Ask the service worker to flush once connectivity returns, even if the page is closed
+     * @returns {Promise<boolean>} Whether Background Sync took the flush (false: the page has to flush)
+     */
+    static async requestSync() {
+        if (!OrderOutbox.registration) return false;
+
+        try {
+            const registration = await OrderOutbox.registration;
+            if (!registration.sync) return false;
+
+            await navigator.serviceWorker.ready;
+            await registration.sync.register(APP_CONFIG.outbox.syncTag);
+            return true;
+        } catch (error) {
+            console.error('Background sync registration failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Resubmit pending orders through Background Sync, or from the page when it is unavailable
+     * @returns {Promise<void>}
+     */
+    static async schedule() {
+        if (!(await OrderOutbox.requestSync())) {
+            await OrderOutbox.flush();
+        }
+    }
+
+    /**
+     * Remove and return the orders confirmed since the last call
+     * Read and deleted in one transaction, so with several tabs open each order is taken once.
+     * @returns {Promise<Array>} Confirmed entries ({orderData, order, ...}), oldest first
+     */
+    static async takeConfirmed() {
+        let confirmed = [];
+
+        await OrderOutbox.write(store => {
+            const request = store.getAll();
+            request.onsuccess = () => {
+                confirmed = (request.result || []).filter(entry => entry.status === 'confirmed');
+                confirmed.forEach(entry => store.delete(entry.idempotencyKey));
+            };
+        });
+
+        return confirmed.sort((a, b) => a.confirmedAt - b.confirmedAt);
+    }
+
+    /**
+     * All outbox entries (pending, rejected and not yet taken confirmed ones), oldest first
+     * @returns {Promise<Array>} Entries
+     */
+    static async getAll() {
+        const db = await OrderOutbox.openDB();
+        if (!db) return [];
+
+        const entries = await new Promise(resolve => {
+            const request = db.transaction(APP_CONFIG.outbox.storeName, 'readonly')
+                .objectStore(APP_CONFIG.outbox.storeName)
+                .getAll();
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => resolve([]);
+        });
+
+        return entries.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Remove an entry (e.g. after the customer dismisses a rejected order)
+     * @param {string} idempotencyKey - Entry key
+     * @returns {Promise<void>}
+     */
+    static async remove(idempotencyKey) {
+        await OrderOutbox.write(store => store.delete(idempotencyKey));
+        OrderOutbox.notify({ type: 'removed', idempotencyKey });
+    }
+
+    /**
+     * Store an entry
+     * @param {object} entry - Outbox entry
+     * @returns {Promise<void>}
+     */
+    static async put(entry) {
+        await OrderOutbox.write(store => store.put(entry));
+    }
+
+    /**
+     * Run a write in a readwrite transaction
+     * @param {Function} operation - (store) => void
+     * @returns {Promise<void>} Resolves when the transaction completes
+     * @throws {Error} When IndexedDB is unavailable or the write fails
+     */
+    static async write(operation) {
+        const db = await OrderOutbox.openDB();
+        if (!db) {
+            throw new Error('IndexedDB is not available');
+        }
+
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(APP_CONFIG.outbox.storeName, 'readwrite');
+            operation(tx.objectStore(APP_CONFIG.outbox.storeName));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Subscribe to outbox changes
+     * @param {Function} listener - Receives {type: 'queued'|'retrying'|'confirmed'|'rejected'|'removed', entry?, order?, error?}
+     * @returns {Function} Unsubscribe function
+     */
+    static onChange(listener) {
+        OrderOutbox.listeners.add(listener);
+        return () => OrderOutbox.listeners.delete(listener);
+    }
+
+    /**
+     * Notify subscribers
+     * @param {object} event - Outbox event
+     */
+    static notify(event) {
+        OrderOutbox.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Outbox listener error:', error);
+            }
+        });
+    }
+
+    /**
+     * Open (or create) the outbox database
+     * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+     */
+    static openDB() {
+        if (OrderOutbox.dbPromise) {
+            return OrderOutbox.dbPromise;
+        }
+
+        OrderOutbox.dbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            try {
+                const request = indexedDB.open(APP_CONFIG.outbox.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(APP_CONFIG.outbox.storeName, { keyPath: 'idempotencyKey' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+                request.onblocked = () => resolve(null);
+            } catch (error) {
+                resolve(null);
+            }
+        });
+
+        return OrderOutbox.dbPromise;
+    }
+
+    /**
+     * Schedule a flush on reconnect and on page load, and relay flushes done by the service worker
+     */
+    static init() {
+        const schedule = () => OrderOutbox.schedule().catch(error => console.error('Outbox flush failed:', error));
+
+        window.addEventListener('online', schedule);
+
+        if (navigator.serviceWorker) {
+            OrderOutbox.registration = navigator.serviceWorker.register('sw.js');
+            OrderOutbox.registration.catch(error => {
+                console.error('Service worker registration failed:', error);
+            });
+
+            navigator.serviceWorker.addEventListener('message', e => {
+                if (e.data?.source === APP_CONFIG.outbox.syncTag) {
+                    OrderOutbox.notify(e.data.event);
+                }
+            });
+        }
+
+        // After load, so pages have subscribed before any confirmation arrives
+        window.addEventListener('load', () => {
+            if (navigator.onLine !== false) schedule();
+        });
+    }
+}
+
+if (typeof window !== 'undefined') {
+    OrderOutbox.init();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderOutbox;
+}
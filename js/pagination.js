@@ -0,0 +1,140 @@
+/**
+ * Gold Perfium - Pagination
+ * Normalized page objects for Spring and HAL list responses, plus helpers to walk all pages
+ */
+
+class Page {
+    /**
+     * @param {object} details - Page details
+     * @param {Array} details.items - Items on this page
+     * @param {number} details.page - Zero-based page number
+     * @param {number} details.size - Requested page size
+     * @param {number} details.total - Total items across all pages
+     * @param {number} details.totalPages - Total number of pages
+     * @param {boolean|null} details.last - Server's "last page" flag when provided
+     */
+    constructor({ items = [], page = 0, size = 0, total = 0, totalPages = 0, last = null } = {}) {
+        this.items = items;
+        this.page = page;
+        this.size = size;
+        this.total = total;
+        this.totalPages = totalPages;
+        this.last = last;
+    }
+
+    /**
+     * Whether another page follows this one
+     * @returns {boolean}
+     */
+    get hasNext() {
+        if (typeof this.last === 'boolean') return !this.last;
+        return this.page + 1 < this.totalPages;
+    }
+
+    /**
+     * Whether a page precedes this one
+     * @returns {boolean}
+     */
+    get hasPrevious() {
+        return this.page > 0;
+    }
+
+    /**
+     * Whether this page has no items
+     * @returns {boolean}
+     */
+    get isEmpty() {
+        return this.items.length === 0;
+    }
+
+    /**
+     * Build a Page from any list response the API returns
+     * Supports Spring pages (`content` + `totalElements`), HAL (`_embedded` + `page`)
+     * and plain arrays.
+     * @param {object|Array} data - Response body
+     * @param {string} embeddedKey - HAL `_embedded` collection key
+     * @param {object} requested - Page number and size that were requested
+     * @returns {Page} Normalized page
+     */
+    static from(data, embeddedKey, { page = 0, size = APP_CONFIG.defaultPageSize } = {}) {
+        if (Array.isArray(data) || !data) {
+            const items = data || [];
+            return new Page({ items, page, size, total: items.length, totalPages: items.length > 0 ? 1 : 0, last: true });
+        }
+
+        const items = data.content || data._embedded?.[embeddedKey] || [];
+        // HAL and Spring's VIA_DTO serialization nest the metadata under `page`
+        const meta = typeof data.page === 'object' && data.page !== null ? data.page : data;
+
+        const pageSize = meta.size ?? size;
+        const total = meta.totalElements ?? items.length;
+
+        return new Page({
+            items,
+            page: meta.number ?? page,
+            size: pageSize,
+            total,
+            totalPages: meta.totalPages ?? (pageSize > 0 ? Math.ceil(total / pageSize) : 1),
+            last: typeof data.last === 'boolean' ? data.last : null,
+        });
+    }
+}
+
+/**
+ * Walk every page of a paginated endpoint
+ * @param {Function} fetchPage - (page, size) => Promise<Page>
+ * @param {object} options - Iteration options
+ * @param {number} options.size - Page size to request
+ * @param {number} options.startPage - First page to fetch
+ * @param {number} options.maxPages - Safety limit on the number of requests
+ * @returns {AsyncGenerator<Page>} Pages in order
+ */
+async function* iteratePages(fetchPage, { size = APP_CONFIG.maxPageSize, startPage = 0, maxPages = 1000 } = {}) {
+    let pageNumber = startPage;
+
+    for (let fetched = 0; fetched < maxPages; fetched++) {
+        const page = await fetchPage(pageNumber, size);
+        yield page;
+
+        if (!page.hasNext || page.isEmpty) return;
+        pageNumber = page.page + 1;
+    }
+}
+
+/**
+ * Walk every item of a paginated endpoint
+ * @param {Function} fetchPage - (page, size) => Promise<Page>
+ * @param {object} options - Same options as iteratePages
+ * @returns {AsyncGenerator<any>} Items in order
+ */
+async function* iterateItems(fetchPage, options = {}) {
+    for await (const page of iteratePages(fetchPage, options)) {
+        yield* page.items;
+    }
+}
+
+/**
+ * Fetch every item of a paginated endpoint into one array
+ * @param {Function} fetchPage - (page, size) => Promise<Page>
+ * @param {object} options - Same options as iteratePages
+ * @returns {Promise<Array>} All items
+ */
+async function collectAllItems(fetchPage, options = {}) {
+    const items = [];
+
+    for await (const item of iterateItems(fetchPage, options)) {
+        items.push(item);
+    }
+
+    return items;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Page,
+        iteratePages,
+        iterateItems,
+        collectAllItems,
+    };
+}
@@ -0,0 +1,213 @@
+/**
+ * Gold Perfium - Pricing Engine
+ * Turns cart lines into an itemized price breakdown: sale prices, bundle
+ * deals, promo codes and shipping (rules live in APP_CONFIG.pricing; shipping
+ * fees come from ShippingCalculator in js/shipping.js)
+ */
+
+class PricingEngine {
+    /**
+     * Price a cart
+     * Discounts apply in order: product sale prices, bundle deals, then the
+     * promo code on what remains. The total never goes below the shipping fee.
+     * @param {Array} items - Cart lines ({product, quantity, unitPrice})
+     * @param {object} options - Pricing options
+     * @param {string|null} options.promoCode - Promo code entered by the customer
+     * @param {string|null} options.governorate - Delivery governorate code; without it
+     * shipping is left out of the total and marked pending
+     * @param {Date} options.now - Reference date for sale and promo expiry
+     * @returns {object} Breakdown: {lines, subtotal, discounts, discountTotal, shipping, total, promo}
+     */
+    static calculate(items, { promoCode = null, governorate = null, now = new Date() } = {}) {
+        const lines = items.map(item => {
+            const effectivePrice = PricingEngine.getEffectivePrice(item, now);
+
+            return {
+                productId: item.product.id,
+                name: item.product.name,
+                categoryId: item.product.categoryId ?? null,
+                quantity: item.quantity,
+                unitPrice: item.unitPrice || 0,
+                effectivePrice,
+                subtotal: PricingEngine.round(effectivePrice * item.quantity),
+            };
+        });
+
+        const subtotal = PricingEngine.round(lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0));
+        const discounts = [];
+
+        const saleAmount = PricingEngine.round(lines.reduce((sum, line) => sum + (line.unitPrice - line.effectivePrice) * line.quantity, 0));
+        if (saleAmount > 0) {
+            discounts.push({ type: 'sale', label: 'خصومات المنتجات', amount: saleAmount });
+        }
+
+        APP_CONFIG.pricing.bundles.forEach(bundle => {
+            const eligible = lines.filter(line => PricingEngine.matchesCategories(line, bundle.categoryIds));
+            const quantity = eligible.reduce((sum, line) => sum + line.quantity, 0);
+
+            if (quantity >= bundle.minQuantity) {
+                const base = eligible.reduce((sum, line) => sum + line.subtotal, 0);
+                const amount = PricingEngine.round(base * bundle.percentage / 100);
+                if (amount > 0) {
+                    discounts.push({ type: 'bundle', id: bundle.id, label: bundle.label, amount });
+                }
+            }
+        });
+
+        const afterItemDiscounts = Math.max(subtotal - PricingEngine.sum(discounts), 0);
+        const promo = promoCode ? PricingEngine.evaluatePromo(promoCode, lines, afterItemDiscounts, now) : null;
+
+        if (promo?.valid && promo.amount > 0) {
+            discounts.push({ type: 'promo', code: promo.code, label: `كود الخصم ${promo.code}`, amount: promo.amount });
+        }
+
+        const discountTotal = Math.min(PricingEngine.round(PricingEngine.sum(discounts)), subtotal);
+        const shipping = PricingEngine.getShipping(governorate, subtotal - discountTotal, lines.length > 0, promo);
+
+        return {
+            lines,
+            subtotal,
+            discounts,
+            discountTotal,
+            shipping,
+            total: PricingEngine.round(subtotal - discountTotal + shipping.fee),
+            promo,
+        };
+    }
+
+    /**
+     * Shipping part of the breakdown
+     * @param {string|null} governorate - Governorate code
+     * @param {number} orderAmount - Amount after discounts
+     * @param {boolean} hasItems - Whether the cart has lines
+     * @param {object|null} promo - Evaluated promo code
+     * @returns {object} {fee, originalFee, free, pending, governorate, governorateName, days}
+     */
+    static getShipping(governorate, orderAmount, hasItems, promo) {
+        const quote = hasItems ? ShippingCalculator.quote(governorate, orderAmount) : null;
+
+        if (!quote) {
+            return { fee: 0, originalFee: 0, free: false, pending: hasItems, governorate: null, governorateName: '', days: null };
+        }
+
+        const free = quote.free || Boolean(promo?.valid && promo.freeShipping);
+
+        return {
+            fee: free ? 0 : quote.originalFee,
+            originalFee: quote.originalFee,
+            free,
+            pending: false,
+            governorate: quote.governorate,
+            governorateName: quote.governorateName,
+            days: quote.days,
+        };
+    }
+
+    /**
+     * Unit price after a running product sale
+     * Uses the product's `salePrice` (and optional `saleEndsAt`) from the snapshot
+     * @param {object} item - Cart line
+     * @param {Date} now - Reference date
+     * @returns {number} Price per unit
+     */
+    static getEffectivePrice(item, now) {
+        const unitPrice = item.unitPrice || 0;
+        const { salePrice, saleEndsAt } = item.product;
+
+        if (typeof salePrice !== 'number' || salePrice < 0 || salePrice >= unitPrice) return unitPrice;
+        if (saleEndsAt && new Date(saleEndsAt) < now) return unitPrice;
+
+        return salePrice;
+    }
+
+    /**
+     * Validate a promo code against the cart and work out its discount
+     * @param {string} code - Code entered by the customer (case-insensitive)
+     * @param {Array} lines - Priced lines
+     * @param {number} amount - Order amount after sale and bundle discounts
+     * @param {Date} now - Reference date
+     * @returns {object} {code, valid, amount, freeShipping, message}
+     */
+    static evaluatePromo(code, lines, amount, now) {
+        const normalized = String(code).trim().toUpperCase();
+        const promo = APP_CONFIG.pricing.promoCodes.find(item => item.code.toUpperCase() === normalized);
+        const invalid = message => ({ code: normalized, valid: false, amount: 0, freeShipping: false, message });
+
+        if (!promo) {
+            return invalid('كود الخصم غير صحيح');
+        }
+
+        if (promo.startsAt && new Date(promo.startsAt) > now) {
+            return invalid('كود الخصم غير مفعل بعد');
+        }
+
+        if (promo.expiresAt && new Date(promo.expiresAt) < now) {
+            return invalid('انتهت صلاحية كود الخصم');
+        }
+
+        if (promo.minOrder && amount < promo.minOrder) {
+            return invalid(`كود الخصم متاح للطلبات من ${formatPrice(promo.minOrder)} جنيه فأكثر`);
+        }
+
+        const eligible = lines.filter(line => PricingEngine.matchesCategories(line, promo.categoryIds));
+        if (eligible.length === 0) {
+            return invalid('كود الخصم لا ينطبق على المنتجات الموجودة في السلة');
+        }
+
+        // Restricted codes discount only their categories, after earlier discounts are spread proportionally
+        const eligibleShare = promo.categoryIds?.length
+            ? eligible.reduce((sum, line) => sum + line.subtotal, 0) / (lines.reduce((sum, line) => sum + line.subtotal, 0) || 1)
+            : 1;
+        const base = amount * eligibleShare;
+
+        let discount = 0;
+        if (promo.type === 'percentage') {
+            discount = base * promo.value / 100;
+            if (promo.maxDiscount) discount = Math.min(discount, promo.maxDiscount);
+        } else if (promo.type === 'fixed') {
+            discount = Math.min(promo.value, base);
+        }
+
+        return {
+            code: promo.code,
+            valid: true,
+            amount: PricingEngine.round(discount),
+            freeShipping: promo.type === 'freeShipping' || Boolean(promo.freeShipping),
+            message: 'تم تطبيق كود الخصم',
+        };
+    }
+
+    /**
+     * Whether a line belongs to one of the given categories (no list means all)
+     * @param {object} line - Priced line
+     * @param {Array|null} categoryIds - Allowed category IDs
+     * @returns {boolean}
+     */
+    static matchesCategories(line, categoryIds) {
+        if (!categoryIds || categoryIds.length === 0) return true;
+        return categoryIds.some(id => String(id) === String(line.categoryId));
+    }
+
+    /**
+     * Sum discount amounts
+     * @param {Array} discounts - Discounts
+     * @returns {number} Total
+     */
+    static sum(discounts) {
+        return discounts.reduce((sum, discount) => sum + discount.amount, 0);
+    }
+
+    /**
+     * Round to piasters
+     * @param {number} value - Amount
+     * @returns {number} Rounded amount
+     */
+    static round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PricingEngine;
+}
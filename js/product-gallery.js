@@ -0,0 +1,197 @@
+/**
+ * Gold Perfium - Product Gallery
+ * Ordered list of a product's images for the admin gallery manager: saved
+ * images (server paths) and newly picked ones (processed files awaiting upload)
+ * side by side, each with its alt text. The first image is the cover shown on
+ * product cards. Saved as product.images (in order) and product.imageAlts
+ * ({path: alt text}).
+ */
+
+class ProductGallery {
+    /**
+     * Longest alt text kept
+     */
+    static ALT_MAX_LENGTH = 150;
+
+    /**
+     * Last item ID handed out (IDs stay unique across galleries on the page)
+     */
+    static lastId = 0;
+
+    /**
+     * @param {object|null} product - Product being edited (null for a new product)
+     */
+    constructor(product = null) {
+        const images = Array.isArray(product?.images) ? product.images : [];
+
+        /** @type {Array<object>} {id, path, image, alt}: path for saved images, image ({file, ...} from ImageProcessor.prepare) for new ones */
+        this.items = images.map(path => ProductGallery.createItem({ path, alt: ProductGallery.getSavedAlt(product, path) }));
+    }
+
+    /**
+     * Alt text saved for an image
+     * @param {object} product - Product
+     * @param {string} path - Image path as stored
+     * @returns {string} Alt text ('' when none)
+     */
+    static getSavedAlt(product, path) {
+        const alts = product?.imageAlts;
+        return alts && typeof alts === 'object' && typeof alts[path] === 'string' ? alts[path] : '';
+    }
+
+    /**
+     * Paths added by an upload, in upload order
+     * @param {Array<string>} before - Saved paths sent with the upload
+     * @param {Array<string>} after - Product images returned by the server
+     * @returns {Array<string>} New paths
+     */
+    static findUploadedPaths(before, after) {
+        const existing = new Set(before);
+        return (after || []).filter(path => !existing.has(path));
+    }
+
+    /**
+     * Gallery item
+     * @param {object} values - {path, image, alt}
+     * @returns {object} Item
+     */
+    static createItem({ path = null, image = null, alt = '' }) {
+        return { id: ++ProductGallery.lastId, path, image, alt: ProductGallery.cleanAlt(alt) };
+    }
+
+    /**
+     * Trimmed alt text within ALT_MAX_LENGTH
+     * @param {string} alt - Alt text
+     * @returns {string}
+     */
+    static cleanAlt(alt) {
+        return String(alt || '').trim().slice(0, ProductGallery.ALT_MAX_LENGTH);
+    }
+
+    /**
+     * Cover image (first item)
+     * @returns {object|null} Item
+     */
+    get cover() {
+        return this.items[0] || null;
+    }
+
+    /**
+     * Saved images, in gallery order
+     * @returns {Array<string>} Paths
+     */
+    get savedPaths() {
+        return this.items.filter(item => item.path).map(item => item.path);
+    }
+
+    /**
+     * Images waiting to be uploaded, in gallery order
+     * @returns {Array<object>} Items
+     */
+    get newItems() {
+        return this.items.filter(item => !item.path);
+    }
+
+    /**
+     * Add newly picked images at the end
+     * @param {Array<object>} images - Results of ImageProcessor.prepare
+     */
+    add(images) {
+        images.forEach(image => this.items.push(ProductGallery.createItem({ image })));
+    }
+
+    /**
+     * Drop every image that has not been uploaded yet
+     */
+    clearNew() {
+        this.items = this.items.filter(item => item.path);
+    }
+
+    /**
+     * Position of an item
+     * @param {number} id - Item ID
+     * @returns {number} Index, -1 when missing
+     */
+    indexOf(id) {
+        return this.items.findIndex(item => item.id === id);
+    }
+
+    /**
+     * Move an item to a new position
+     * @param {number} id - Item ID
+     * @param {number} index - New position
+     * @returns {boolean} Whether the order changed
+     */
+    move(id, index) {
+        const from = this.indexOf(id);
+        const to = Math.max(0, Math.min(index, this.items.length - 1));
+        if (from === -1 || from === to) return false;
+
+        const [item] = this.items.splice(from, 1);
+        this.items.splice(to, 0, item);
+        return true;
+    }
+
+    /**
+     * Make an item the cover (moves it first)
+     * @param {number} id - Item ID
+     * @returns {boolean} Whether the cover changed
+     */
+    setCover(id) {
+        return this.move(id, 0);
+    }
+
+    /**
+     * Remove an item
+     * @param {number} id - Item ID
+     * @returns {object|null} Removed item
+     */
+    remove(id) {
+        const index = this.indexOf(id);
+        return index === -1 ? null : this.items.splice(index, 1)[0];
+    }
+
+    /**
+     * Set an item's alt text
+     * @param {number} id - Item ID
+     * @param {string} alt - Alt text
+     * @returns {boolean} Whether it changed
+     */
+    setAlt(id, alt) {
+        const item = this.items[this.indexOf(id)];
+        const cleaned = ProductGallery.cleanAlt(alt);
+        if (!item || item.alt === cleaned) return false;
+
+        item.alt = cleaned;
+        return true;
+    }
+
+    /**
+     * Product fields for the gallery
+     * New images are matched, in gallery order, with the paths the server gave them;
+     * uploaded paths left unmatched are kept at the end.
+     * @param {Array<string>} uploadedPaths - Paths of the new images, in upload order
+     * @returns {object} {images, imageAlts}
+     */
+    toProductFields(uploadedPaths = []) {
+        const remaining = [...uploadedPaths];
+        const images = [];
+        const imageAlts = {};
+
+        this.items.forEach(item => {
+            const path = item.path || remaining.shift();
+            if (!path) return;
+
+            images.push(path);
+            if (item.alt) imageAlts[path] = item.alt;
+        });
+        images.push(...remaining);
+
+        return { images, imageAlts };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductGallery;
+}
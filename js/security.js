@@ -54,13 +54,28 @@ function sanitizeEmail(email) {
 }
 
 /**
- * Validate and sanitize phone number (Egyptian format)
+ * Convert Arabic-Indic (٠-٩) and Persian (۰-۹) digits to ASCII digits
+ * @param {string} value - Text to normalize
+ * @returns {string} Text with ASCII digits
+ */
+function normalizeDigits(value) {
+    return String(value)
+        .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+        .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0));
+}
+
+/**
+ * Validate and sanitize phone number (Egyptian mobile format)
+ * Accepts local (01xxxxxxxxx) and international (+20, 0020, 20) forms,
+ * Arabic-Indic digits and spaces, dashes, dots or parentheses as separators
  * @param {string} phone - Phone number to validate
- * @returns {string|null} Sanitized phone or null if invalid
+ * @returns {string|null} Phone as 01xxxxxxxxx, or null if invalid
  */
 function sanitizePhone(phone) {
-    const sanitized = sanitizeInput(phone).replace(/\s/g, '');
-    const phoneRegex = /^(01)[0-9]{9}$/;
+    const sanitized = normalizeDigits(sanitizeInput(phone))
+        .replace(/[\s\-().]/g, '')
+        .replace(/^(\+|00)?20(?=1)/, '0');
+    const phoneRegex = /^01[0125][0-9]{8}$/;
 
     return phoneRegex.test(sanitized) ? sanitized : null;
 }
@@ -116,12 +131,13 @@ function decryptData(encryptedData) {
  * Securely store data in localStorage with encryption
  * @param {string} key - Storage key
  * @param {any} value - Value to store
+ * @param {Storage} storage - Target storage (localStorage or sessionStorage)
  */
-function secureSetItem(key, value) {
+function secureSetItem(key, value, storage = localStorage) {
     try {
         const stringValue = typeof value === 'string' ? value : JSON.stringify(value);
         const encrypted = encryptData(stringValue);
-        localStorage.setItem(key, encrypted);
+        storage.setItem(key, encrypted);
     } catch (error) {
         console.error('Secure storage error:', error);
     }
@@ -131,11 +147,12 @@ function secureSetItem(key, value) {
  * Retrieve and decrypt data from localStorage
  * @param {string} key - Storage key
  * @param {boolean} parseJSON - Whether to parse as JSON
+ * @param {Storage} storage - Source storage (localStorage or sessionStorage)
  * @returns {any} Decrypted value
  */
-function secureGetItem(key, parseJSON = false) {
+function secureGetItem(key, parseJSON = false, storage = localStorage) {
     try {
-        const encrypted = localStorage.getItem(key);
+        const encrypted = storage.getItem(key);
         if (!encrypted) return null;
 
         const decrypted = decryptData(encrypted);
@@ -150,9 +167,10 @@ function secureGetItem(key, parseJSON = false) {
 /**
  * Securely remove item from localStorage
  * @param {string} key - Storage key
+ * @param {Storage} storage - Target storage (localStorage or sessionStorage)
  */
-function secureRemoveItem(key) {
-    localStorage.removeItem(key);
+function secureRemoveItem(key, storage = localStorage) {
+    storage.removeItem(key);
 }
 
 /**
@@ -338,6 +356,7 @@ if (typeof module !== 'undefined' && module.exports) {
         sanitizeInput,
         sanitizeObject,
         sanitizeEmail,
+        normalizeDigits,
         sanitizePhone,
         encryptData,
         decryptData,
@@ -0,0 +1,167 @@
+/**
+ * Gold Perfium - Session Manager
+ * Handles expired admin sessions (401/403) for HttpClient and MediaUpload:
+ * asks the admin to sign in again without leaving the page so the
+ * interrupted requests can be replayed
+ */
+
+class SessionManager {
+    /**
+     * Shared re-authentication promise so concurrent failures open one dialog
+     * @type {Promise<boolean>|null}
+     */
+    static pendingReauth = null;
+
+    /**
+     * Ask the admin to sign in again
+     * Resolves true once a new session is established, false if the admin gave up
+     * (in which case they are sent to login.html and brought back afterwards).
+     * @returns {Promise<boolean>} True if re-authenticated
+     */
+    static handleSessionExpired() {
+        if (!SessionManager.pendingReauth) {
+            SessionManager.pendingReauth = SessionManager.showReloginDialog()
+                .then(renewed => {
+                    if (!renewed) {
+                        SessionManager.redirectToLogin();
+                    }
+                    return renewed;
+                })
+                .finally(() => {
+                    SessionManager.pendingReauth = null;
+                });
+        }
+
+        return SessionManager.pendingReauth;
+    }
+
+    /**
+     * Sign in again, keeping the previous "remember me" choice
+     * @param {string} username - Admin username
+     * @param {string} password - Admin password
+     * @returns {Promise<boolean>} True if credentials are valid
+     */
+    static async reauthenticate(username, password) {
+        try {
+            await AuthSession.login(username, password, { remember: AuthSession.isRemembered() });
+            return true;
+        } catch (error) {
+            if (error instanceof ApiError && error.isAuthError) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Remember the current page so login can bring the admin back to it
+     */
+    static saveReturnUrl() {
+        const page = window.location.pathname.split('/').pop() || 'admin.html';
+        sessionStorage.setItem(APP_CONFIG.returnUrlKey, `${page}${window.location.search}${window.location.hash}`);
+    }
+
+    /**
+     * Read and forget the page saved before redirecting to login
+     * Only same-site relative pages are honored to avoid open redirects.
+     * @param {string} fallback - Page to use when nothing was saved
+     * @returns {string} Page to return to
+     */
+    static consumeReturnUrl(fallback = 'admin.html') {
+        const returnUrl = sessionStorage.getItem(APP_CONFIG.returnUrlKey);
+        sessionStorage.removeItem(APP_CONFIG.returnUrlKey);
+
+        if (!returnUrl || !/^[\w-]+\.html([?#].*)?$/.test(returnUrl)) {
+            return fallback;
+        }
+
+        return returnUrl;
+    }
+
+    /**
+     * Clear the expired session and send the admin to login
+     * Only this tab is signed out: other open admin tabs keep their pages and
+     * ask for a new login themselves when their next request is rejected.
+     */
+    static redirectToLogin() {
+        SessionManager.saveReturnUrl();
+        AuthSession.logout({ reason: 'expired' });
+        window.location.href = 'login.html';
+    }
+
+    /**
+     * Show the re-login dialog over the current page
+     * The page (and any unsaved form) stays untouched underneath.
+     * @returns {Promise<boolean>} True if the admin signed in again
+     */
+    static showReloginDialog() {
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.className = 'session-dialog-overlay';
+            overlay.setAttribute('role', 'dialog');
+            overlay.setAttribute('aria-modal', 'true');
+            overlay.innerHTML = `
+                <form class="session-dialog" novalidate>
+                    <h2 class="session-dialog-title">انتهت الجلسة</h2>
+                    <p class="session-dialog-text">يرجى تسجيل الدخول مرة أخرى لإكمال العملية. لن تفقد البيانات التي أدخلتها.</p>
+                    <input class="session-dialog-input" name="username" type="text" placeholder="اسم المستخدم" autocomplete="username" required>
+                    <input class="session-dialog-input" name="password" type="password" placeholder="كلمة المرور" autocomplete="current-password" required>
+                    <div class="session-dialog-error" aria-live="polite"></div>
+                    <div class="session-dialog-actions">
+                        <button type="submit" class="session-dialog-submit">تسجيل الدخول</button>
+                        <button type="button" class="session-dialog-cancel">الذهاب لصفحة الدخول</button>
+                    </div>
+                </form>
+            `;
+
+            const form = overlay.querySelector('form');
+            const errorBox = overlay.querySelector('.session-dialog-error');
+            const submitBtn = overlay.querySelector('.session-dialog-submit');
+
+            const close = (renewed) => {
+                overlay.remove();
+                resolve(renewed);
+            };
+
+            form.username.value = AuthSession.getUsername();
+
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+
+                const username = form.username.value.trim();
+                const password = form.password.value;
+
+                if (!username || !password) {
+                    errorBox.textContent = 'يرجى ملء جميع الحقول';
+                    return;
+                }
+
+                submitBtn.disabled = true;
+                errorBox.textContent = '';
+
+                try {
+                    if (await SessionManager.reauthenticate(username, password)) {
+                        close(true);
+                    } else {
+                        errorBox.textContent = 'اسم المستخدم أو كلمة المرور غير صحيحة';
+                    }
+                } catch (error) {
+                    console.error('Re-authentication error:', error);
+                    errorBox.textContent = 'خطأ في الاتصال بالخادم. يرجى المحاولة مرة أخرى.';
+                } finally {
+                    submitBtn.disabled = false;
+                }
+            });
+
+            overlay.querySelector('.session-dialog-cancel').addEventListener('click', () => close(false));
+
+            document.body.appendChild(overlay);
+            (form.username.value ? form.password : form.username).focus();
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionManager;
+}
@@ -0,0 +1,122 @@
+/**
+ * Gold Perfium - Shipping
+ * Shipping fees and delivery estimates by Egyptian governorate, and the
+ * structured delivery address collected at checkout (rules live in APP_CONFIG.shipping)
+ */
+
+class ShippingCalculator {
+    /**
+     * All governorates, in the order they are configured
+     * @returns {Array} [{code, name, fee, days, freeShippingThreshold?}]
+     */
+    static getGovernorates() {
+        return APP_CONFIG.shipping.governorates;
+    }
+
+    /**
+     * Find a governorate by code
+     * @param {string} code - Governorate code
+     * @returns {object|null} Governorate
+     */
+    static getGovernorate(code) {
+        if (!code) return null;
+        return APP_CONFIG.shipping.governorates.find(governorate => governorate.code === code) || null;
+    }
+
+    /**
+     * Shipping quote for a governorate
+     * @param {string} code - Governorate code
+     * @param {number} orderAmount - Order amount after discounts (for the free-shipping threshold)
+     * @returns {object|null} {governorate, fee, originalFee, free, threshold, days: {min, max}}, or null for an unknown governorate
+     */
+    static quote(code, orderAmount) {
+        const governorate = ShippingCalculator.getGovernorate(code);
+        if (!governorate) return null;
+
+        const threshold = governorate.freeShippingThreshold ?? APP_CONFIG.shipping.freeShippingThreshold;
+        const free = Boolean(threshold) && orderAmount >= threshold;
+
+        return {
+            governorate: governorate.code,
+            governorateName: governorate.name,
+            fee: free ? 0 : governorate.fee,
+            originalFee: governorate.fee,
+            free,
+            threshold: threshold || null,
+            days: { min: governorate.days[0], max: governorate.days[1] },
+        };
+    }
+
+    /**
+     * Delivery estimate as Arabic text
+     * @param {object} days - {min, max}
+     * @returns {string} e.g. "خلال ٢ - ٣ أيام"
+     */
+    static formatDeliveryDays({ min, max }) {
+        if (min === max) {
+            return `خلال ${min.toLocaleString('ar-EG')} ${min === 1 ? 'يوم' : 'أيام'}`;
+        }
+        return `خلال ${min.toLocaleString('ar-EG')} - ${max.toLocaleString('ar-EG')} أيام`;
+    }
+
+    /**
+     * Validate a structured address
+     * @param {object} address - {governorate, city, street, landmark}
+     * @returns {object} {valid, errors: {field: message}}
+     */
+    static validateAddress(address) {
+        const errors = {};
+
+        if (!ShippingCalculator.getGovernorate(address.governorate)) {
+            errors.governorate = 'اختر المحافظة';
+        }
+        if (!address.city || address.city.trim().length < 2) {
+            errors.city = 'أدخل المدينة أو المنطقة';
+        }
+        if (!address.street || address.street.trim().length < 5) {
+            errors.street = 'أدخل العنوان بالتفصيل (الشارع ورقم العقار)';
+        }
+
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    /**
+     * Build the order's address fields
+     * `shippingAddress` stays a single line so existing order views keep working.
+     * @param {object} address - {governorate, city, street, landmark}
+     * @returns {object} {shippingAddress, address}
+     */
+    static toOrderAddress(address) {
+        const governorate = ShippingCalculator.getGovernorate(address.governorate);
+        const structured = {
+            governorate: governorate?.code || null,
+            governorateName: governorate?.name || '',
+            city: (address.city || '').trim(),
+            street: (address.street || '').trim(),
+            landmark: (address.landmark || '').trim(),
+        };
+
+        return {
+            shippingAddress: ShippingCalculator.formatAddress(structured),
+            address: structured,
+        };
+    }
+
+    /**
+     * Format an address on one line
+     * @param {object} address - Structured address
+     * @returns {string} e.g. "القاهرة، مدينة نصر، 12 شارع عباس العقاد (بجوار ...)"
+     */
+    static formatAddress(address) {
+        const governorateName = address.governorateName || ShippingCalculator.getGovernorate(address.governorate)?.name || '';
+        const parts = [governorateName, address.city, address.street].filter(Boolean);
+        const landmark = address.landmark ? ` (${address.landmark})` : '';
+
+        return parts.join('، ') + landmark;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShippingCalculator;
+}
@@ -25,6 +25,58 @@ function buildImageUrl(imagePath) {
     return imagePath;
 }
 
+/**
+ * Alt text of a product image (set in the admin gallery, otherwise the product name)
+ * @param {object} product - Product
+ * @param {string} imagePath - Image path as stored in product.images
+ * @returns {string} Alt text
+ */
+function getImageAlt(product, imagePath) {
+    const alt = product?.imageAlts?.[imagePath];
+    return typeof alt === 'string' && alt.trim() ? alt : product?.name || '';
+}
+
+/**
+ * Order status as used by the app (APP_CONFIG.orderStatus)
+ * @param {string} status - Status as stored by the server
+ * @returns {string} Status
+ */
+function normalizeOrderStatus(status) {
+    const entry = Object.entries(APP_CONFIG.orderStatusServerValues).find(([, value]) => value === status);
+    return entry ? entry[0] : status;
+}
+
+/**
+ * Order status as stored by the server
+ * @param {string} status - APP_CONFIG.orderStatus value
+ * @returns {string} Status to send
+ */
+function toServerOrderStatus(status) {
+    return APP_CONFIG.orderStatusServerValues[status] || status;
+}
+
+/**
+ * Order with its status and statusHistory in APP_CONFIG.orderStatus spellings,
+ * history oldest first
+ * @param {object} order - Order from the server
+ * @returns {object} Order
+ */
+function normalizeOrder(order) {
+    const history = Array.isArray(order.statusHistory) ? order.statusHistory : [];
+
+    return {
+        ...order,
+        status: normalizeOrderStatus(order.status),
+        statusHistory: history
+            .map(entry => ({
+                ...entry,
+                from: entry.from ? normalizeOrderStatus(entry.from) : null,
+                status: normalizeOrderStatus(entry.status),
+            }))
+            .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt)),
+    };
+}
+
 /**
  * Initialize Dark Mode from localStorage
  */
@@ -111,29 +163,28 @@ function showError(message, element) {
 }
 
 /**
- * Get authentication token from localStorage
+ * Get authentication token for the current admin session
  * @returns {string|null} Auth token or null
  */
 function getAuthToken() {
-    return localStorage.getItem(APP_CONFIG.authTokenKey);
+    return AuthSession.getToken();
 }
 
 /**
- * Save authentication token to localStorage
+ * Start an admin session with an already issued token
  * @param {string} token - Auth token to save
  * @param {string} username - Username to save
+ * @param {string} type - Authorization scheme ('Bearer' or 'Basic')
  */
-function saveAuthToken(token, username) {
-    localStorage.setItem(APP_CONFIG.authTokenKey, token);
-    localStorage.setItem(APP_CONFIG.usernameKey, username);
+function saveAuthToken(token, username, type = 'Bearer') {
+    AuthSession.start({ token, username, type });
 }
 
 /**
- * Clear authentication data from localStorage
+ * Clear authentication data and end the admin session
  */
 function clearAuthToken() {
-    localStorage.removeItem(APP_CONFIG.authTokenKey);
-    localStorage.removeItem(APP_CONFIG.usernameKey);
+    AuthSession.logout();
 }
 
 /**
@@ -143,14 +194,14 @@ function clearAuthToken() {
  * @returns {Promise<Response>} Fetch response
  */
 async function authenticatedFetch(url, options = {}) {
-    const token = getAuthToken();
+    const authorization = AuthSession.getAuthorizationHeader();
 
     const headers = {
         ...options.headers,
     };
 
-    if (token) {
-        headers['Authorization'] = `Basic ${token}`;
+    if (authorization) {
+        headers['Authorization'] = authorization;
     }
 
     return fetch(url, {
@@ -302,6 +353,10 @@ function isInViewport(element) {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         buildImageUrl,
+        getImageAlt,
+        normalizeOrderStatus,
+        toServerOrderStatus,
+        normalizeOrder,
         initDarkMode,
         toggleDarkMode,
         formatPrice,
@@ -0,0 +1,95 @@
+/**
+ * Gold Perfium - WhatsApp Checkout
+ * Turns an order into an Arabic WhatsApp message and a wa.me link to the
+ * store's number; the store chooses the checkout mode in its settings
+ * (adminInfo.checkoutMode, see APP_CONFIG.whatsapp)
+ */
+
+class WhatsAppCheckout {
+    /**
+     * Checkout mode chosen by the store
+     * Falls back to the API when the store has no usable WhatsApp number.
+     * @param {object|null} store - Store info from APIService.getAdminInfo
+     * @returns {string} One of APP_CONFIG.whatsapp.modes
+     */
+    static getMode(store) {
+        const { modes, defaultMode } = APP_CONFIG.whatsapp;
+        const mode = Object.values(modes).includes(store?.checkoutMode) ? store.checkoutMode : defaultMode;
+
+        if (mode !== modes.API && !WhatsAppCheckout.getPhone(store)) {
+            return modes.API;
+        }
+
+        return mode;
+    }
+
+    /**
+     * Store WhatsApp number in international format, digits only
+     * Uses the dedicated WhatsApp number when set, otherwise the store phone.
+     * @param {object|null} store - Store info
+     * @returns {string|null} e.g. "201012345678"
+     */
+    static getPhone(store) {
+        const phone = store?.whatsappPhone || store?.phone;
+        if (!phone) return null;
+
+        const local = sanitizePhone(phone);
+        if (local) {
+            return APP_CONFIG.whatsapp.countryCode + local.slice(1);
+        }
+
+        const digits = normalizeDigits(String(phone)).replace(/\D/g, '').replace(/^00/, '');
+        return digits.length >= 10 ? digits : null;
+    }
+
+    /**
+     * wa.me link opening a chat with the store, prefilled with the order
+     * @param {object|null} store - Store info
+     * @param {object} receipt - Order entry (OrderHistory.createEntry)
+     * @returns {string|null} Link, or null when the store has no WhatsApp number
+     */
+    static buildUrl(store, receipt) {
+        const phone = WhatsAppCheckout.getPhone(store);
+        if (!phone) return null;
+
+        return `https://wa.me/${phone}?text=${encodeURIComponent(WhatsAppCheckout.buildMessage(receipt))}`;
+    }
+
+    /**
+     * Order summary as a WhatsApp message
+     * @param {object} receipt - Order entry (OrderHistory.createEntry)
+     * @returns {string} Message text (*bold* uses WhatsApp formatting)
+     */
+    static buildMessage(receipt) {
+        const price = amount => `${formatPrice(amount)} جنيه`;
+        const lines = ['*طلب جديد - عطور جولد*'];
+
+        if (receipt.id !== null) {
+            lines.push(`رقم الطلب: #${receipt.id}`);
+        }
+
+        lines.push('', '*المنتجات:*');
+        receipt.items.forEach(item => {
+            lines.push(`• ${item.name} × ${item.quantity} = ${price(item.subtotal)}`);
+        });
+
+        lines.push('', `المجموع الفرعي: ${price(receipt.subtotalAmount)}`);
+        if (receipt.discountAmount > 0) {
+            lines.push(`الخصم: - ${price(receipt.discountAmount)}`);
+        }
+        lines.push(`الشحن: ${receipt.shippingFee > 0 ? price(receipt.shippingFee) : 'مجاني'}`);
+        lines.push(`*الإجمالي: ${price(receipt.totalAmount)}*`);
+
+        lines.push('', '*بيانات العميل:*');
+        lines.push(`الاسم: ${receipt.customerName}`);
+        lines.push(`الموبايل: ${receipt.customerPhone}`);
+        lines.push(`العنوان: ${receipt.shippingAddress}`);
+
+        return lines.join('\n');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WhatsAppCheckout;
+}
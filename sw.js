@@ -0,0 +1,35 @@
+/**
+ * Gold Perfium - Service Worker
+ * Resubmits orders queued in the order outbox (js/outbox.js) through Background Sync
+ * Does not cache or intercept page requests
+ */
+
+importScripts('js/config.js', 'js/http.js', 'js/api.js', 'js/outbox.js');
+
+// Let open pages show confirmations for orders sent from here; confirmed orders
+// also stay in IndexedDB (OrderOutbox.takeConfirmed) for the next page load
+OrderOutbox.onChange(event => {
+    const { error, ...message } = event;
+
+    self.clients.matchAll({ includeUncontrolled: true }).then(clients => {
+        clients.forEach(client => client.postMessage({ source: APP_CONFIG.outbox.syncTag, event: message }));
+    });
+});
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', event => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('sync', event => {
+    if (event.tag !== APP_CONFIG.outbox.syncTag) return;
+
+    // Rejecting tells the browser to retry the sync later
+    event.waitUntil(OrderOutbox.flush().then(async () => {
+        const entries = await OrderOutbox.getAll();
+        if (entries.some(entry => entry.status === 'pending')) {
+            throw new Error('Orders still pending');
+        }
+    }));
+});